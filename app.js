@@ -5,50 +5,117 @@
 
 import {
     getState, GameMode, Phase,
-    addPlayer, removePlayer, setCategory, setMode,
+    addPlayer, removePlayer, setPlayerProfile, getPlayerProfile, setCategories, setDifficulty, setVariant, setMode,
     setLocalPlayerName, setIsHost,
-    addOnlinePeer, removeOnlinePeer, setOnlinePeerReady,
-    resetOnlinePeerReady, getOnlinePlayerNames,
-    startGame, revealCurrentRole, nextRevealPlayer,
-    startCluePhase, getCurrentCluePlayer, nextClueTurn,
+    addOnlinePeer, removeOnlinePeer, setOnlinePeerReady, promoteSpectator, getSpectators,
+    setOnlinePeerAway, reattachOnlinePeer,
+    isMatchInProgress, isSpectating,
+    resetOnlinePeerReady, getOnlinePlayerNames, getLocalPlayerIndex,
+    setTieRule, setImposterCount, setShowImposterPartners, getMaxImposters,
+    getOptionalRoles, setSpecialRoles, getMatchRecord,
+    isResumableGame, createSnapshot, canResumeSnapshot, restoreSnapshot,
+    setRequestedSeed, getRoleFor, getScoreboard, applyHostScores, startGame, revealCurrentRole, nextRevealPlayer,
+    startCluePhase, getCurrentCluePlayer, getCurrentCluePlayerIndex, nextClueTurn,
+    submitClue, getClueBoard,
     startDebatePhase, nextRoundSameWord, endGame,
-    toggleTimer, resetTimer, tickTimerSecond,
-    fullReset,
-    serialiseForSync, applyHostState, applyRoleAssignment,
+    startVotePhase, getVoteOptions, castVote, nextVoter, allVotesIn, getVoterCount, tallyVotes,
+    markSeatAbsent, isSeatAbsent,
+    imposterWasCaught, startGuessPhase, submitImposterGuess,
+    toggleTimer, resetTimer, tickTimerSecond, setTurnTimers,
+    getTimerDisplaySeconds, getTimerRemaining, applyHostTimer, serialiseTimer,
+    fullReset, getCategories, getCategoryLabel, getCategoryWords, addCustomPack,
+    isBuiltInCategory, saveCustomPack, removeCustomPack, getCustomPacks, loadCustomPacks,
+    serialiseForSync, applyHostState, applyRoleAssignment, getStateChecksum, setFairness,
+    PeerAction, checkPeerAction, requestDebate, getDebateRequestsNeeded,
 } from './js/game.js';
 
 import {
-    initScreens, initElements, getEl, showScreen,
+    initScreens, initElements, getEl, showScreen, isScreenActive,
     renderPlayerList, updateRevealScreen, showRole,
+    populateProfilePickers, getPickedLook, setPickedLook, renderSavedProfiles,
     updateOnlineRevealScreen, showOnlineRole,
-    updateCluePhaseUI, updateDebatePhaseUI,
-    updateTimerDisplay, setTimerButtonLabel,
-    renderLobbyPlayerList, setHostStatus, setJoinStatus,
-    showToast, setDiscussionHostControls,
+    updateCluePhaseUI, updateDebatePhaseUI, updateImposterCapHint,
+    updateVoteScreen, updateVoteProgress, updateGuessScreen, showResults,
+    renderScoreboard, setClueEntryVisible, renderClueBoard,
+    populateCategoryPickers, populateRolePickers, getCheckedValues,
+    setPackStatus, renderPackEditor, setPackEditorStatus,
+    updateTimerDisplay, setTimerButtonLabel, setTimerControlsVisible,
+    renderLobbyPlayerList, setHostStatus, setJoinStatus, setRoomCode, renderQRCode, renderStats,
+    showToast, setDiscussionHostControls, setResumeOptions, setHostInviteVisible,
+    setDiagnosticsAvailable, setDiagnosticsOpen, renderDiagnostics, setFairnessBadge, setPeerActions,
 } from './js/render.js';
 
 import { initInput } from './js/input.js';
-import { NetworkManager, PROTOCOL_VERSION } from './js/net.js';
-import { copyToClipboard } from './js/utils.js';
+import { NetworkManager, WebSocketSignalling, PROTOCOL_VERSION } from './js/net.js';
+import { copyToClipboard, playBeep, downloadFile } from './js/utils.js';
+import {
+    parsePackFile, packToJSON, packToCSV, packFileName, validatePackName, validatePackWords,
+} from './js/packs.js';
+import { loadJSON, saveJSON, removeKey, StorageKey } from './js/storage.js';
+import { addMatch, cleanHistory, getPlayerStats, historyToJSON } from './js/history.js';
+import { normaliseProfile, upsertProfile, removeProfile, findProfile } from './js/profiles.js';
+import { createEscrowKey, sealState, openState } from './js/escrow.js';
+import { createSeedSecret, createEntropy, deriveSeed, commitOutcome, verifyReveal, Verdict } from './js/fairness.js';
+import { LinkKind, buildLink, parseLink } from './js/links.js';
+import { difficultyLevels } from './data/words.js';
 
 /* ── Globals ───────────────────────────────────────────────── */
 
 let net = null;   // NetworkManager instance (created on demand)
+let matchHistory = [];   // finished matches, oldest first (see js/history.js)
+let savedProfiles = [];  // regulars, most recently used first (see js/profiles.js)
+let _savedGameJson = '';  // local game state last written to storage, to skip identical writes
+const _seatHolds = new Map();   // host: peerId -> timeout that gives up a dropped player's seat
+let _escrow    = newEscrow();     // host: who holds the sealed match and its key (see js/escrow.js)
+let _migration = newMigration();  // peer: our part in taking over if the host leaves
+let _migrationWarned = false;     // host: already told that migration can't work in this browser
+const _openSeats = new Map();     // new host: name -> { token, hold } for seats of a taken-over match not yet reclaimed
+const _shareLinks = { invite: '', answer: '' };  // the join / response links last generated here
+let _hostRoom = null;  // host: the WebSocketSignalling room players join by code, if one is open
+const _desyncs = new Map();  // player name -> { count, lastAt } of resync requests (a peer keeps only its own)
+const _desyncLog = [];       // desyncs seen this session, oldest first, for the diagnostics panel
+let _resyncRequestedAt = 0;  // peer: when we last asked the host for a resync
+let _diagnosticsTimer = null;  // refreshes the diagnostics panel while it is open
+let _seedSecret = null;          // host: { secret, commit } for the next match (see js/fairness.js)
+const _seedEntropy = new Map();  // host: player name -> the randomness they sent for _seedSecret
+const _sentEntropy = new Map();  // peer: seed commitment -> the randomness we sent for it
+let _fairness = null;            // peer: { committed, firstCommit, result } for the current match
+let _firstCommit = null;         // peer: the first seed commitment the host showed us since its last match
+const _linkChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('vague-links') : null;
+
+const RECONNECT_GRACE_MS = 60000;  // how long a dropped player's seat is held mid-match
+const LINK_FORWARD_WAIT_MS = 1500; // how long a response link waits for the host's tab to take it
+const RESYNC_RETRY_MS = 5000;      // peer: how long to wait on a resync before asking again
+const DESYNC_FLAG_COUNT = 3;       // host: resyncs before a player is flagged as unreliable
+const DESYNC_LOG_LIMIT = 50;
+const DIAGNOSTICS_REFRESH_MS = 1000;
+const SENT_ENTROPY_KEPT = 4;       // peer: commitments we remember our randomness for
 
 /* ── Bootstrap ─────────────────────────────────────────────── */
 
 // Module scripts are deferred by default, so DOM is ready here.
 initScreens();
 initElements();
+loadCustomPacks(loadJSON(StorageKey.CUSTOM_PACKS, {}));
+loadMatchHistory();
+loadProfiles();
+populateProfilePickers();
+refreshSetupPlayerList();
+refreshResumeOptions();
+fillSignallingServer();
+refreshCategoryPickers();
+populateRolePickers(getOptionalRoles().map(r => ({ value: r.id, label: r.label })));
 wireEvents();
 initInput({ onConfirm: handleConfirm, onBack: handleBack, onNavigate: handleNav });
 startGameLoop();
+openLinkFromUrl();
 
 /* ── Game loop (requestAnimationFrame + fixed-step timer) ──── */
 
 let _lastTs = 0;
 let _timerAccum = 0;
 const TIMER_TICK = 1000; // 1 second
+const TIMER_WARNING_SECONDS = 5;  // countdown turns red + beeps from here
 
 function startGameLoop() {
     _lastTs = performance.now();
@@ -61,19 +128,63 @@ function loop(ts) {
 
     const state = getState();
 
-    // Fixed-step timer update
-    if (state.timerRunning) {
+    // Fixed-step timer update — online peers only mirror the host's timer
+    if (state.timerRunning && state.mode !== GameMode.ONLINE_PEER) {
         _timerAccum += dt;
         while (_timerAccum >= TIMER_TICK) {
-            tickTimerSecond();
             _timerAccum -= TIMER_TICK;
+            const expired = tickTimerSecond();
+            refreshTimerUI();
+            playTimerCue();
+            broadcastTimer();
+            if (expired) {
+                _timerAccum = 0;
+                onTimerExpired();
+                break;
+            }
         }
-        updateTimerDisplay(state.timerSeconds);
     }
 
     requestAnimationFrame(loop);
 }
 
+/** Redraw the timer from state (countdown or stopwatch). */
+function refreshTimerUI() {
+    const state = getState();
+    const remaining = getTimerRemaining();
+    updateTimerDisplay(getTimerDisplaySeconds(), remaining !== null && remaining <= TIMER_WARNING_SECONDS);
+    setTimerButtonLabel(state.timerRunning);
+}
+
+/** Beep through the last few seconds of a countdown, higher when it runs out. */
+function playTimerCue() {
+    const remaining = getTimerRemaining();
+    if (remaining === null || remaining > TIMER_WARNING_SECONDS) return;
+    if (remaining === 0) playBeep(880, 400);
+    else playBeep();
+}
+
+/** A countdown ran out: move the turn on (host / local only). */
+function onTimerExpired() {
+    switch (getState().currentPhase) {
+        case Phase.CLUES:
+            showToast('Time\'s up!', 'info');
+            doNextClueTurn();
+            break;
+        case Phase.DEBATE:
+            showToast('Debate over — time to vote!', 'info');
+            doStartVote();
+            break;
+    }
+}
+
+/** Host: push the authoritative timer to every peer. */
+function broadcastTimer() {
+    if (getState().mode === GameMode.ONLINE_HOST && net) {
+        net.broadcast({ type: 'timer', ...serialiseTimer() });
+    }
+}
+
 /* ── Event wiring ──────────────────────────────────────────── */
 
 function wireEvents() {
@@ -82,16 +193,29 @@ function wireEvents() {
     // ── Menu ──
     document.getElementById('start-new-game').addEventListener('click', () => {
         setMode(GameMode.LOCAL);
+        refreshSetupPlayerList();
         showScreen('setup');
     });
+    document.getElementById('resume-game-btn').addEventListener('click', doResumeGame);
+    document.getElementById('resume-lobby-btn').addEventListener('click', doResumeLobby);
     document.getElementById('multiplayer-btn').addEventListener('click', () => showScreen('multiplayer'));
     document.getElementById('settings-btn').addEventListener('click', () => showScreen('settings'));
+    document.getElementById('stats-btn').addEventListener('click', () => {
+        refreshStats();
+        showScreen('stats');
+    });
+    document.getElementById('packs-btn').addEventListener('click', () => {
+        const ticked = getCheckedValues(getEl().categoryPicker);
+        openPackEditor(getCategories().find(k => ticked.includes(k)) ?? getCategories()[0]);
+        showScreen('packs');
+    });
 
     // Back buttons — all elements with .back-to-menu
     document.querySelectorAll('.back-to-menu').forEach(btn => {
         btn.addEventListener('click', () => {
             resetTimer();
             cleanupNet();
+            refreshResumeOptions();
             showScreen('menu');
         });
     });
@@ -101,8 +225,37 @@ function wireEvents() {
     el.playerInput.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') { e.preventDefault(); doAddPlayer(); }
     });
+    el.playerInput.addEventListener('input', () => {
+        // Typing a regular's name brings back their look
+        const saved = findProfile(savedProfiles, el.playerInput.value);
+        if (saved) setPickedLook(saved);
+    });
     el.beginGameBtn.addEventListener('click', doStartGame);
 
+    // ── Word packs ──
+    el.importPackBtn.addEventListener('click', () => el.packFileInput.click());
+    el.packFileInput.addEventListener('change', doImportPack);
+
+    // ── Stats ──
+    el.statsExportBtn.addEventListener('click', doExportHistory);
+    el.statsClearBtn.addEventListener('click', doClearHistory);
+
+    // ── Pack editor ──
+    el.exportJsonBtn.addEventListener('click', () => doExportPack('json'));
+    el.exportCsvBtn.addEventListener('click', () => doExportPack('csv'));
+    el.packEditorSelect.addEventListener('change', () => {
+        if (el.packEditorSelect.value) openPackEditor(el.packEditorSelect.value);
+    });
+    el.packNameInput.addEventListener('input', () => { _packDraft.name = el.packNameInput.value; });
+    el.packNewBtn.addEventListener('click', doNewPack);
+    el.packDuplicateBtn.addEventListener('click', doDuplicatePack);
+    el.packDeleteBtn.addEventListener('click', doDeletePack);
+    el.packAddWordBtn.addEventListener('click', () => {
+        _packDraft.words.push({ word: '', hint: '' });
+        refreshPackEditor();
+    });
+    el.packSaveBtn.addEventListener('click', doSavePack);
+
     // ── Reveal (local) ──
     el.revealBox.addEventListener('click', doRevealRole);
     el.revealBox.addEventListener('keydown', (e) => {
@@ -114,27 +267,40 @@ function wireEvents() {
     el.timerToggleBtn.addEventListener('click', doToggleTimer);
     el.timerResetBtn.addEventListener('click', doResetTimer);
     el.clueNextBtn.addEventListener('click', doNextClueTurn);
+    el.clueSubmitBtn.addEventListener('click', doSubmitClue);
+    el.clueInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); doSubmitClue(); }
+    });
     el.nextRoundBtn.addEventListener('click', doNextRound);
-    el.finishMissionBtn.addEventListener('click', doFinishMission);
+    el.finishMissionBtn.addEventListener('click', doStartVote);
 
-    // ── Results ──
-    el.restartGameBtn.addEventListener('click', () => {
-        // Go back to setup so players can adjust, instead of instantly restarting
-        showScreen('setup');
+    // ── Vote ──
+    el.voteCloseBtn.addEventListener('click', doCloseVote);
+
+    // ── Imposter's guess ──
+    el.guessSubmitBtn.addEventListener('click', doSubmitGuess);
+    el.guessSkipBtn.addEventListener('click', doSkipGuess);
+    el.guessInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); doSubmitGuess(); }
     });
 
+    // ── Results ──
+    el.restartGameBtn.addEventListener('click', doPlayAgain);
+
     // ── Multiplayer menu ──
     document.getElementById('local-mp-btn').addEventListener('click', () => {
         setMode(GameMode.LOCAL);
         showScreen('setup');
     });
     document.getElementById('host-game-btn').addEventListener('click', () => {
+        fullReset();
         setMode(GameMode.ONLINE_HOST);
         setIsHost(true);
         showScreen('host-lobby');
         setHostStatus('Enter your name and generate an invite code.');
     });
     document.getElementById('join-game-btn').addEventListener('click', () => {
+        fullReset();
         setMode(GameMode.ONLINE_PEER);
         setIsHost(false);
         showScreen('join-lobby');
@@ -143,23 +309,36 @@ function wireEvents() {
 
     // ── Host lobby ──
     document.getElementById('generate-offer-btn').addEventListener('click', doGenerateOffer);
+    document.getElementById('open-room-btn').addEventListener('click', doOpenRoom);
     document.getElementById('copy-offer-btn').addEventListener('click', () => {
-        const area = document.getElementById('offer-code-area');
-        copyToClipboard(area.value).then(ok => {
-            showToast(ok ? 'Copied!' : 'Copy failed — select and copy manually.', ok ? 'success' : 'error');
-        });
+        copyWithToast(document.getElementById('offer-code-area').value);
     });
+    document.getElementById('copy-offer-link-btn').addEventListener('click', () => copyWithToast(_shareLinks.invite));
     document.getElementById('accept-answer-btn').addEventListener('click', doAcceptAnswer);
     document.getElementById('host-start-btn').addEventListener('click', doHostStartGame);
+    document.getElementById('host-return-btn').addEventListener('click', doReturnToMatch);
+    document.getElementById('host-invite-btn').addEventListener('click', doOpenLobbyMidMatch);
+    document.getElementById('diagnostics-btn').addEventListener('click', doToggleDiagnostics);
+    document.getElementById('peer-clue-done-btn').addEventListener('click', () => doPeerAction(PeerAction.CLUE_DONE));
+    document.getElementById('peer-debate-btn').addEventListener('click', () => doPeerAction(PeerAction.START_DEBATE));
+    document.getElementById('peer-pause-btn').addEventListener('click', () => doPeerAction(PeerAction.PAUSE_TIMER));
+    document.getElementById('diagnostics-close-btn').addEventListener('click', doToggleDiagnostics);
+    document.getElementById('take-over-btn').addEventListener('click', doTakeOverAsHost);
 
     // ── Join lobby ──
     document.getElementById('generate-answer-btn').addEventListener('click', doGenerateAnswer);
+    document.getElementById('join-room-btn').addEventListener('click', doJoinRoom);
+    el.joinRoomInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); doJoinRoom(); }
+    });
     document.getElementById('copy-answer-btn').addEventListener('click', () => {
-        const area = document.getElementById('answer-code-area');
-        copyToClipboard(area.value).then(ok => {
-            showToast(ok ? 'Copied!' : 'Copy failed — select and copy manually.', ok ? 'success' : 'error');
-        });
+        copyWithToast(document.getElementById('answer-code-area').value);
     });
+    document.getElementById('copy-answer-link-btn').addEventListener('click', () => copyWithToast(_shareLinks.answer));
+
+    // ── Join links ──
+    window.addEventListener('hashchange', openLinkFromUrl);
+    if (_linkChannel) _linkChannel.onmessage = onLinkChannelMessage;
 
     // ── Online reveal ──
     const orBox = document.getElementById('online-reveal-box');
@@ -177,30 +356,373 @@ function wireEvents() {
 
 function doAddPlayer() {
     const el = getEl();
-    const err = addPlayer(el.playerInput.value);
+    const name = el.playerInput.value.trim();
+    const picked = getPickedLook();
+    const look = {
+        ...findProfile(savedProfiles, name),
+        ...(picked.colour && { colour: picked.colour }),
+        ...(picked.emoji && { emoji: picked.emoji }),
+    };
+    const err = addPlayer(name, look);
     if (err) {
         showToast(err, 'error');
         return;
     }
+    saveProfile(getPlayerProfile(name));
     el.playerInput.value = '';
     el.playerInput.focus();
+    setPickedLook(null);
+    refreshSetupPlayerList();
+}
+
+/** Add a regular from the quick-select chips. */
+function doPickProfile(profile) {
+    const err = addPlayer(profile.name, profile);
+    if (err) { showToast(err, 'error'); return; }
+    saveProfile(profile);
+    refreshSetupPlayerList();
+}
+
+function doForgetProfile(name) {
+    savedProfiles = removeProfile(savedProfiles, name);
+    saveJSON(StorageKey.PROFILES, savedProfiles);
     refreshSetupPlayerList();
 }
 
 /** Re-render the setup screen player list with working remove callbacks. */
 function refreshSetupPlayerList() {
-    renderPlayerList(getState().players, (idx) => {
+    const players = getState().players;
+    renderPlayerList(players.map(getPlayerProfile), (idx) => {
         removePlayer(idx);
         refreshSetupPlayerList();
     });
+    renderSavedProfiles(savedProfiles, players, doPickProfile, doForgetProfile);
+    updateImposterCapHint(players.length, getMaxImposters(players.length));
 }
 
 function doStartGame() {
-    setCategory(getEl().categorySelect.value);
+    const catErr = setCategories(getCheckedValues(getEl().categoryPicker));
+    if (catErr) { showToast(catErr, 'error'); return; }
+    setDifficulty(getEl().difficultySelect.value);
+    setVariant(getEl().variantSelect.value);
+    setTieRule(getEl().tieRuleSelect.value);
+    setImposterCount(getEl().imposterCountSelect.value);
+    setShowImposterPartners(getEl().showPartnersCheck.checked);
+    setSpecialRoles(getCheckedValues(getEl().rolePicker));
+    setTurnTimers(getEl().clueTimerSelect.value, getEl().debateTimerSelect.value);
+    setRequestedSeed(getEl().seedInput.value);
     const err = startGame();
     if (err) { showToast(err, 'error'); return; }
-    updateRevealScreen(getState().players[0]);
+    updateRevealScreen(getPlayerProfile(getState().players[0]));
     showScreen('reveal');
+    autosaveLocalGame();
+}
+
+/* ── Action handlers — Word packs ──────────────────────────── */
+
+/** Rebuild both category checklists from built-in categories + custom packs. */
+function refreshCategoryPickers(tick) {
+    populateCategoryPickers(
+        getCategories().map(key => ({ value: key, label: getCategoryLabel(key) })),
+        tick,
+    );
+}
+
+async function doImportPack() {
+    const input = getEl().packFileInput;
+    const file = input.files?.[0];
+    input.value = '';   // let the same file be picked again after fixing it
+    if (!file) return;
+
+    let text;
+    try {
+        text = await file.text();
+    } catch (e) {
+        setPackStatus([`Could not read the file: ${e.message}`]);
+        showToast(`Couldn't import ${file.name}.`, 'error');
+        return;
+    }
+
+    const { pack, errors } = parsePackFile(file.name, text);
+    setPackStatus(errors);
+    if (!pack) {
+        showToast(`Couldn't import ${file.name}.`, 'error');
+        return;
+    }
+
+    const key = addCustomPack(pack.name, pack.words);
+    persistCustomPacks();
+    refreshCategoryPickers(key);
+    showToast(`Imported "${pack.name}" (${pack.words.length} words).`, 'success');
+}
+
+/** Export the pack open in the editor, including unsaved edits. */
+function doExportPack(format) {
+    const name  = _packDraft.name.trim() || 'Word pack';
+    const words = _packDraft.words.filter(w => w.word.trim() || w.hint.trim());
+    if (!words.length) { showToast('Nothing to export.', 'error'); return; }
+
+    if (format === 'csv') {
+        downloadFile(`${packFileName(name)}.csv`, packToCSV(words), 'text/csv');
+    } else {
+        downloadFile(`${packFileName(name)}.json`, packToJSON(name, words), 'application/json');
+    }
+}
+
+function persistCustomPacks() {
+    if (!saveJSON(StorageKey.CUSTOM_PACKS, getCustomPacks())) {
+        showToast('Could not save packs in this browser — they will be lost on reload.', 'error');
+    }
+}
+
+/* ── Action handlers — Pack editor ─────────────────────────── */
+
+/** Pack being edited: a copy, only written back on Save. */
+let _packDraft = null;
+
+function openPackEditor(key) {
+    _packDraft = {
+        key,
+        name:     getCategoryLabel(key),
+        words:    getCategoryWords(key),
+        readOnly: isBuiltInCategory(key),
+    };
+    refreshPackEditor();
+}
+
+function refreshPackEditor() {
+    const options = getCategories().map(key => ({
+        value: key,
+        label: isBuiltInCategory(key) ? `${getCategoryLabel(key)} (built-in)` : getCategoryLabel(key),
+    }));
+    renderPackEditor(_packDraft, options, difficultyLevels, {
+        onEdit:   (idx, field, value) => { _packDraft.words[idx][field] = value; },
+        onRemove: (idx) => { _packDraft.words.splice(idx, 1); refreshPackEditor(); },
+    });
+}
+
+function doNewPack() {
+    _packDraft = { key: null, name: '', words: [{ word: '', hint: '' }], readOnly: false };
+    refreshPackEditor();
+    getEl().packNameInput.focus();
+}
+
+/** Built-in packs are read-only — duplicating is how you edit one. */
+function doDuplicatePack() {
+    _packDraft = {
+        key:      null,
+        name:     `${_packDraft.name} (copy)`,
+        words:    _packDraft.words.map(w => ({ ...w })),
+        readOnly: false,
+    };
+    refreshPackEditor();
+}
+
+function doDeletePack() {
+    const { key, name, readOnly } = _packDraft;
+    if (readOnly || !key) return;
+    if (!window.confirm(`Delete the pack "${name}"? This cannot be undone.`)) return;
+
+    removeCustomPack(key);
+    persistCustomPacks();
+    refreshCategoryPickers();
+    openPackEditor(getCategories()[0]);
+    showToast(`Deleted "${name}".`, 'info');
+}
+
+function doSavePack() {
+    if (_packDraft.readOnly) return;
+    const name  = _packDraft.name.trim();
+    const words = _packDraft.words
+        .map(w => ({
+            word: w.word.trim(),
+            hint: w.hint.trim(),
+            ...(w.difficulty && { difficulty: w.difficulty }),
+            ...(w.decoy?.trim() && { decoy: w.decoy.trim() }),
+        }))
+        .filter(w => w.word || w.hint);
+
+    const nameErr = validatePackName(name);
+    const errors  = [...(nameErr ? [nameErr] : []), ...validatePackWords(words)];
+    if (errors.length) {
+        setPackEditorStatus(errors);
+        return;
+    }
+
+    const { key, error } = saveCustomPack(_packDraft.key, name, words);
+    if (error) { setPackEditorStatus([error]); return; }
+
+    persistCustomPacks();
+    refreshCategoryPickers();
+    openPackEditor(key);
+    showToast(`Saved "${name}".`, 'success');
+}
+
+/* ── Action handlers — Player profiles ─────────────────────── */
+
+function loadProfiles() {
+    const saved = loadJSON(StorageKey.PROFILES, []);
+    savedProfiles = (Array.isArray(saved) ? saved : []).map(normaliseProfile).filter(Boolean);
+}
+
+/** Remember a player's profile as the most recently used regular. */
+function saveProfile(profile) {
+    savedProfiles = upsertProfile(savedProfiles, profile);
+    saveJSON(StorageKey.PROFILES, savedProfiles);
+}
+
+/**
+ * Online, your look is the saved profile with the name you typed.
+ * @returns {{ colour:string, emoji:string }|null}
+ */
+function getOwnLook(name) {
+    const saved = findProfile(savedProfiles, name);
+    return saved && { colour: saved.colour, emoji: saved.emoji };
+}
+
+/* ── Action handlers — Match history ───────────────────────── */
+
+function loadMatchHistory() {
+    matchHistory = cleanHistory(loadJSON(StorageKey.MATCH_HISTORY, []));
+}
+
+/** Save the match that just finished — once, even if RESULTS arrives twice. */
+function recordMatch() {
+    const record = getMatchRecord();
+    if (!record) return;
+    matchHistory = addMatch(matchHistory, record);
+    saveJSON(StorageKey.MATCH_HISTORY, matchHistory);
+}
+
+function refreshStats() {
+    renderStats(getPlayerStats(matchHistory), matchHistory);
+}
+
+function doExportHistory() {
+    if (!matchHistory.length) { showToast('No matches to export.', 'error'); return; }
+    downloadFile('vague-match-history.json', historyToJSON(matchHistory), 'application/json');
+}
+
+function doClearHistory() {
+    if (!matchHistory.length) return;
+    if (!window.confirm(`Delete all ${matchHistory.length} recorded matches? This cannot be undone.`)) return;
+    matchHistory = [];
+    removeKey(StorageKey.MATCH_HISTORY);
+    refreshStats();
+    showToast('Match history cleared.', 'info');
+}
+
+/* ── Action handlers — Save / resume ───────────────────────── */
+
+/**
+ * Write the local game to storage if it changed, and drop the save once
+ * the game is over.  Runs after each phase or turn change.
+ */
+function autosaveLocalGame() {
+    if (getState().mode !== GameMode.LOCAL) return;
+    if (!isResumableGame()) {
+        if (_savedGameJson) {
+            removeKey(StorageKey.LOCAL_GAME);
+            _savedGameJson = '';
+        }
+        return;
+    }
+    const snap = createSnapshot();
+    const json = JSON.stringify(snap.state);
+    if (json === _savedGameJson) return;
+    _savedGameJson = json;
+    saveJSON(StorageKey.LOCAL_GAME, snap);
+}
+
+/** Show the menu's resume buttons for whatever is saved. */
+function refreshResumeOptions() {
+    const lobby = loadJSON(StorageKey.LOBBY, null);
+    setResumeOptions(canResumeSnapshot(loadJSON(StorageKey.LOCAL_GAME, null)), !!lobby?.name);
+}
+
+/**
+ * Pick a saved local game back up.  Lands on a screen that shows no
+ * roles: the reveal restarts behind the current player's tap.
+ */
+function doResumeGame() {
+    const err = restoreSnapshot(loadJSON(StorageKey.LOCAL_GAME, null));
+    if (err) {
+        removeKey(StorageKey.LOCAL_GAME);
+        refreshResumeOptions();
+        showToast(err, 'error');
+        return;
+    }
+    showRestoredPhase();
+    showToast('Game resumed.', 'success');
+}
+
+/** After restoreSnapshot(): land on the current phase's screen, roles hidden. */
+function showRestoredPhase() {
+    _timerAccum = 0;
+    const state = getState();
+    switch (state.currentPhase) {
+        case Phase.REVEAL:
+            if (state.mode === GameMode.LOCAL) {
+                updateRevealScreen(getPlayerProfile(state.players[state.currentPlayerIndex]));
+                showScreen('reveal');
+            } else {
+                updateOnlineRevealScreen(getPlayerProfile(state.localPlayerName));
+                showScreen('online-reveal');
+            }
+            break;
+        case Phase.CLUES:
+        case Phase.DEBATE:
+            setDiscussionHostControls(true);
+            setTimerControlsVisible(true);
+            if (state.currentPhase === Phase.CLUES) {
+                updateCluePhaseUI(getPlayerProfile(getCurrentCluePlayer()));
+                refreshClueEntry();
+            } else {
+                updateDebatePhaseUI();
+                renderClueBoard(getClueBoard());
+            }
+            showScreen('discussion');
+            break;
+        case Phase.VOTE:
+            showBallot();
+            showScreen('vote');
+            break;
+        case Phase.GUESS:
+            showGuessScreen();
+            showScreen('guess');
+            break;
+    }
+    refreshTimerUI();
+}
+
+/**
+ * Online games can't be resumed mid-match (every connection is gone), but
+ * the lobby can: the same name, and for the host the last roster and
+ * standings, so rejoining players keep their points.
+ */
+function doResumeLobby() {
+    const lobby = loadJSON(StorageKey.LOBBY, null);
+    if (!lobby?.name) return;
+
+    fullReset();
+    if (lobby.role === 'host') {
+        setMode(GameMode.ONLINE_HOST);
+        setIsHost(true);
+        applyHostScores(lobby.scores, lobby.matchesPlayed);
+        getEl().hostNameInput.value = lobby.name;
+        refreshHostLobby();
+        showScreen('host-lobby');
+        const others = (lobby.players ?? []).filter(n => n !== lobby.name);
+        setHostStatus(others.length
+            ? `Last lobby: ${others.join(', ')}. Generate a new invite code for each player.`
+            : 'Generate an invite code.');
+    } else {
+        setMode(GameMode.ONLINE_PEER);
+        setIsHost(false);
+        getEl().joinNameInput.value = lobby.name;
+        showScreen('join-lobby');
+        setJoinStatus('Ask the host for a new invite code and paste it below.');
+    }
 }
 
 /* ── Action handlers — Reveal (local) ─────────────────────── */
@@ -208,13 +730,14 @@ function doStartGame() {
 function doRevealRole() {
     const info = revealCurrentRole();
     if (!info) return;
-    showRole(info.isImposter, info.word, info.hint);
+    showRole(info);
 }
 
 function doNextPlayer() {
     const more = nextRevealPlayer();
     if (more) {
-        updateRevealScreen(getState().players[getState().currentPlayerIndex]);
+        updateRevealScreen(getPlayerProfile(getState().players[getState().currentPlayerIndex]));
+        autosaveLocalGame();
     } else {
         doStartCluePhase();
     }
@@ -225,130 +748,519 @@ function doNextPlayer() {
 function doStartCluePhase() {
     startCluePhase();
     _timerAccum = 0;
-    updateCluePhaseUI(getCurrentCluePlayer());
-    updateTimerDisplay(0);
-    setTimerButtonLabel(false);
+    updateCluePhaseUI(getPlayerProfile(getCurrentCluePlayer()));
+    refreshClueEntry();
+    refreshTimerUI();
 
     const state = getState();
     // In online mode, only host controls; peers see the UI synced
     if (state.mode !== GameMode.LOCAL && !state.isHost) {
         setDiscussionHostControls(false);
     }
+    setTimerControlsVisible(state.mode === GameMode.LOCAL || state.isHost);
+    refreshPeerActions();
 
     showScreen('discussion');
-
-    // Broadcast phase change if host
-    if (state.mode === GameMode.ONLINE_HOST && net) {
-        net.broadcast({ type: 'phase_change', phase: 'CLUES', state: serialiseForSync() });
-    }
+    broadcastPhase();
 }
 
 function doNextClueTurn() {
     const more = nextClueTurn();
     _timerAccum = 0;
     if (more) {
-        updateCluePhaseUI(getCurrentCluePlayer());
-        updateTimerDisplay(0);
-        setTimerButtonLabel(false);
+        updateCluePhaseUI(getPlayerProfile(getCurrentCluePlayer()));
+        refreshClueEntry();
+        refreshTimerUI();
+        broadcastPhase();
     } else {
         doStartDebate();
     }
-
-    // Broadcast if host
-    const state = getState();
-    if (state.mode === GameMode.ONLINE_HOST && net) {
-        net.broadcast({ type: 'phase_change', phase: state.currentPhase, state: serialiseForSync() });
-    }
 }
 
 function doStartDebate() {
     startDebatePhase();
     _timerAccum = 0;
     updateDebatePhaseUI();
-    updateTimerDisplay(0);
-    setTimerButtonLabel(false);
+    renderClueBoard(getClueBoard());
+    refreshTimerUI();
+    broadcastPhase();
+}
+
+function doNextRound() {
+    nextRoundSameWord();
+    _timerAccum = 0;
+    updateCluePhaseUI(getPlayerProfile(getCurrentCluePlayer()));
+    refreshClueEntry();
+    refreshTimerUI();
+    broadcastPhase();
+}
+
+/** Clue input goes to the shared device locally, or to the clue-giver's own device online. */
+function refreshClueEntry() {
+    const state = getState();
+    setClueEntryVisible(state.mode === GameMode.LOCAL || getLocalPlayerIndex() === getCurrentCluePlayerIndex());
+}
+
+function doSubmitClue() {
+    const el = getEl();
+    const text = el.clueInput.value;
+    if (!text.trim()) { showToast('Type the clue first.', 'error'); return; }
 
+    const state = getState();
+    if (state.mode === GameMode.ONLINE_PEER) {
+        if (net) net.sendToHost({ type: 'input', action: PeerAction.CLUE, text });
+        setClueEntryVisible(false);
+        return;
+    }
+
+    const playerIdx = state.mode === GameMode.LOCAL ? getCurrentCluePlayerIndex() : getLocalPlayerIndex();
+    const err = applyClue(playerIdx, text);
+    if (err) showToast(err, 'error');
+}
+
+/** Peer: offer exactly the actions the host would accept from us right now. */
+function refreshPeerActions() {
+    const state = getState();
+    if (state.mode !== GameMode.ONLINE_PEER) { setPeerActions(null); return; }
+    const idx = getLocalPlayerIndex();
+    const allowed = action => checkPeerAction(action, idx) === null;
+    const seatedInClues = state.currentPhase === Phase.CLUES && idx !== -1;
+    setPeerActions({
+        clueDone: allowed(PeerAction.CLUE_DONE),
+        pause:    allowed(PeerAction.PAUSE_TIMER),
+        debate:   seatedInClues ? {
+            requested: state.debateRequests.includes(idx),
+            count:     state.debateRequests.length,
+            needed:    getDebateRequestsNeeded(),
+        } : null,
+    });
+}
+
+/** Peer: ask the host for an action.  The buttons come back with the host's answer. */
+function doPeerAction(action) {
+    if (!net) return;
+    net.sendToHost({ type: 'input', action });
+    setPeerActions(null);
+}
+
+/**
+ * Record a clue (local or host side) and pass the turn on.
+ * @returns {string|null} error or null
+ */
+function applyClue(playerIdx, text) {
+    const err = submitClue(playerIdx, text);
+    if (err) return err;
+    doNextClueTurn();
+    return null;
+}
+
+/** Host: tell every peer about the current phase + public state.  Either way, save the change. */
+function broadcastPhase() {
     const state = getState();
     if (state.mode === GameMode.ONLINE_HOST && net) {
-        net.broadcast({ type: 'phase_change', phase: 'DEBATE', state: serialiseForSync() });
+        net.broadcast({ type: 'phase_change', phase: state.currentPhase, state: serialiseForSync() });
     }
+    autosaveLocalGame();
+    escrowHostGame();
 }
 
-function doNextRound() {
-    nextRoundSameWord();
+/* ── Action handlers — Vote ────────────────────────────────── */
+
+function doStartVote() {
+    startVotePhase();
     _timerAccum = 0;
-    updateCluePhaseUI(getCurrentCluePlayer());
-    updateTimerDisplay(0);
-    setTimerButtonLabel(false);
+    showBallot();
+    // The debate timer can run out while the host is in the lobby; Back to Match brings them to the vote
+    if (isScreenActive('discussion')) showScreen('vote');
+    broadcastPhase();
+}
+
+/**
+ * Render the ballot for whoever votes next on this device — the next
+ * player in pass-and-play, or the local player online.
+ */
+function showBallot(justVoted = false) {
+    const state = getState();
+    const local = state.mode === GameMode.LOCAL;
+    const voterIdx = local ? state.voterIndex : getLocalPlayerIndex();
+    const spectating = isSpectating();
+    updateVoteScreen({
+        voterName:  state.players[voterIdx] ?? state.localPlayerName,
+        options:    spectating ? [] : getVoteOptions(voterIdx),
+        spectating,
+        isRevote:   state.isRevote,
+        votedCount: state.votedIndices.length,
+        total:      getVoterCount(),
+        hasVoted:   justVoted || (!local && state.votedIndices.includes(voterIdx)),
+        canClose:   state.mode === GameMode.ONLINE_HOST,
+    }, doCastVote);
+}
 
+/** Host: stop waiting for the missing votes and count the ones cast. */
+function doCloseVote() {
     const state = getState();
-    if (state.mode === GameMode.ONLINE_HOST && net) {
-        net.broadcast({ type: 'phase_change', phase: 'CLUES', state: serialiseForSync() });
+    if (state.mode !== GameMode.ONLINE_HOST || state.currentPhase !== Phase.VOTE) return;
+    const missing = getVoterCount() - state.votedIndices.length;
+    showToast(`Vote closed — ${missing} player${missing === 1 ? '' : 's'} didn't vote.`, 'info');
+    finishVote();
+}
+
+function doCastVote(targetIdx) {
+    const state = getState();
+    if (state.mode === GameMode.ONLINE_PEER) {
+        if (net) net.sendToHost({ type: 'input', action: PeerAction.VOTE, target: targetIdx });
+        showBallot(true);
+        return;
+    }
+
+    const voterIdx = state.mode === GameMode.LOCAL ? state.voterIndex : getLocalPlayerIndex();
+    const err = applyVote(voterIdx, targetIdx);
+    if (err) showToast(err, 'error');
+}
+
+/**
+ * Record a vote (local or host side) and move the vote along.
+ * @returns {string|null} error or null
+ */
+function applyVote(voterIdx, targetIdx) {
+    const err = castVote(voterIdx, targetIdx);
+    if (err) return err;
+
+    if (allVotesIn()) {
+        finishVote();
+        return null;
     }
+
+    const state = getState();
+    if (state.mode === GameMode.LOCAL) {
+        nextVoter();
+        showToast(`Vote recorded. Pass to ${state.players[state.voterIndex]}.`, 'info');
+    }
+    showBallot();
+    broadcastPhase();
+    return null;
 }
 
-function doFinishMission() {
+function finishVote() {
+    const { revote, tied } = tallyVotes();
+    if (revote) {
+        showToast(`Tie between ${tied.join(' and ')} — revote!`, 'info');
+        showBallot();
+        broadcastPhase();
+        return;
+    }
+
+    // A caught imposter who has left gets no last chance
+    if (imposterWasCaught() && !isSeatAbsent(getState().eliminatedIndex)) {
+        doStartGuess();
+        return;
+    }
+    doShowResults();
+}
+
+function doShowResults() {
     endGame();
+    recordMatch();
+    renderResultsScreen();
     showScreen('results');
+    setHostInviteVisible(false);
+    broadcastPhase();
+    net?.stopSyncLoop();   // phase_change carried the final state; the next match starts it again
+    revealFairness();
+    broadcastLobbyUpdate();
+}
+
+function renderResultsScreen() {
+    const { outcome } = getState();
+    showResults(outcome);
+    renderScoreboard(getEl().resultsScoreboard, getScoreboard(), outcome?.points);
+    setFairnessBadge(_fairness?.result ?? null);
+}
 
+/**
+ * Back to where the next match is set up: the setup screen locally, the
+ * lobby online (standings carry over while the roster stays the same).
+ */
+function doPlayAgain() {
     const state = getState();
     if (state.mode === GameMode.ONLINE_HOST && net) {
-        net.broadcast({ type: 'phase_change', phase: 'RESULTS', state: serialiseForSync() });
+        refreshHostLobby();
+        setHostStatus('Start the next match, or invite more players.');
+        showScreen('host-lobby');
+    } else if (state.mode === GameMode.ONLINE_PEER && net) {
+        renderScoreboard(getEl().joinScoreboard, getScoreboard());
+        setJoinStatus('Waiting for the host to start the next match...');
+        showScreen('join-lobby');
+    } else {
+        // Go back to setup so players can adjust, instead of instantly restarting
+        showScreen('setup');
     }
 }
 
+/* ── Action handlers — Imposter's guess ────────────────────── */
+
+function doStartGuess() {
+    startGuessPhase();
+    showGuessScreen();
+    showScreen('guess');
+    broadcastPhase();
+}
+
+/** Only the caught imposter's device (or the shared local one) gets the input. */
+function showGuessScreen() {
+    const state = getState();
+    const canGuess = state.mode === GameMode.LOCAL || getLocalPlayerIndex() === state.eliminatedIndex;
+    updateGuessScreen(state.players[state.eliminatedIndex] ?? '', canGuess, state.mode === GameMode.ONLINE_HOST);
+}
+
+/** Host: end the match without the caught imposter's guess, as if it missed. */
+function doSkipGuess() {
+    const state = getState();
+    if (state.mode !== GameMode.ONLINE_HOST || state.currentPhase !== Phase.GUESS) return;
+    showToast(`${state.players[state.eliminatedIndex]} didn't get to guess.`, 'info');
+    doShowResults();
+}
+
+function doSubmitGuess() {
+    const el = getEl();
+    const text = el.guessInput.value;
+    if (!text.trim()) { showToast('Enter a guess first.', 'error'); return; }
+
+    if (getState().mode === GameMode.ONLINE_PEER) {
+        if (net) net.sendToHost({ type: 'input', action: PeerAction.GUESS, text });
+        el.guessSubmitBtn.disabled = true;
+        return;
+    }
+
+    const err = applyImposterGuess(text);
+    if (err) showToast(err, 'error');
+}
+
+/**
+ * Check the imposter's guess (local or host side) and finish the match.
+ * @returns {string|null} error or null
+ */
+function applyImposterGuess(text) {
+    const { error, correct } = submitImposterGuess(text);
+    if (error) return error;
+    showToast(correct ? 'Correct guess!' : 'Wrong guess!', correct ? 'success' : 'error');
+    doShowResults();
+    return null;
+}
+
 function doToggleTimer() {
-    const running = toggleTimer();
+    toggleTimer();
     _timerAccum = 0;
-    setTimerButtonLabel(running);
+    refreshTimerUI();
+    broadcastTimer();
+    autosaveLocalGame();
 }
 
 function doResetTimer() {
     resetTimer();
     _timerAccum = 0;
-    updateTimerDisplay(0);
-    setTimerButtonLabel(false);
+    refreshTimerUI();
+    broadcastTimer();
+    autosaveLocalGame();
+}
+
+/* ── Join links ────────────────────────────────────────────── */
+
+function copyWithToast(text) {
+    copyToClipboard(text).then(ok => {
+        showToast(ok ? 'Copied!' : 'Copy failed — select and copy manually.', ok ? 'success' : 'error');
+    });
+}
+
+/**
+ * The code in a pasted link, or the text itself when it's a bare code.
+ * @param {string} text
+ * @param {string} kind  the LinkKind this box expects
+ * @returns {{ code:string|null, error:string|null }}
+ */
+function codeFromInput(text, kind) {
+    const { link, error } = parseLink(text);
+    if (error) return { code: null, error };
+    if (link && link.kind !== kind) {
+        return { code: null, error: kind === LinkKind.JOIN
+            ? 'That\'s a response link — it goes in the host\'s Step 2 box.'
+            : 'That\'s an invite link — open it on the joining player\'s device.' };
+    }
+    return { code: link?.code ?? text, error: null };
+}
+
+/**
+ * Opened from a join link: straight to the join screen with the invite
+ * filled in, and the response generated if we know the player's name.
+ * A response link is handed to the host's own tab.
+ */
+function openLinkFromUrl() {
+    const { link, error } = parseLink(location.hash);
+    if (!link && !error) return;
+    history.replaceState(null, '', location.pathname + location.search);
+    if (error) { showToast(error, 'error', 5000); return; }
+
+    if (link.kind === LinkKind.ANSWER) {
+        forwardAnswerToHostTab(link.code);
+        return;
+    }
+    if (net) { showToast('Leave this game before joining another.', 'error'); return; }
+
+    fullReset();
+    setMode(GameMode.ONLINE_PEER);
+    setIsHost(false);
+    const el = getEl();
+    el.offerPasteArea.value = link.code;
+    el.joinNameInput.value  = loadJSON(StorageKey.LOBBY, null)?.name ?? savedProfiles[0]?.name ?? '';
+    showScreen('join-lobby');
+    if (el.joinNameInput.value) {
+        doGenerateAnswer();
+    } else {
+        setJoinStatus('Enter your name, then press Join Game.');
+        el.joinNameInput.focus();
+    }
+}
+
+/** Pass a response link to the tab that's hosting, if it's open in this browser. */
+function forwardAnswerToHostTab(code) {
+    const fallback = 'Paste this response link into the host\'s Step 2 box to connect.';
+    if (!_linkChannel) { showToast(fallback, 'info', 5000); return; }
+
+    const timer = setTimeout(() => {
+        _linkChannel.onmessage = onLinkChannelMessage;
+        showToast(fallback, 'info', 5000);
+    }, LINK_FORWARD_WAIT_MS);
+    _linkChannel.onmessage = (e) => {
+        if (e.data?.type !== 'answer_taken') return;
+        clearTimeout(timer);
+        _linkChannel.onmessage = onLinkChannelMessage;
+        showToast('Sent to the host tab — you can close this one.', 'success', 5000);
+    };
+    _linkChannel.postMessage({ type: 'answer', code });
+}
+
+/** Host tab: a response link was opened in another tab of this browser. */
+function onLinkChannelMessage(e) {
+    if (e.data?.type !== 'answer' || !net?.isHost || !net.pendingPeerId) return;
+    _linkChannel.postMessage({ type: 'answer_taken' });
+    getEl().answerPasteArea.value = e.data.code;
+    doAcceptAnswer();
+}
+
+/* ── Signalling server ─────────────────────────────────────── */
+
+/** Where the page came from, as a WebSocket address — right when server/signal-server.mjs served it. */
+function pageServerUrl() {
+    if (!location.protocol.startsWith('http')) return '';
+    return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}`;
+}
+
+/** Both lobbies' server fields: the last one used, with this page's server as the hint. */
+function fillSignallingServer() {
+    const el = getEl();
+    const saved = loadJSON(StorageKey.SIGNAL_SERVER, '');
+    [el.hostServerInput, el.joinServerInput].forEach(input => {
+        input.placeholder = pageServerUrl() || 'ws://192.168.1.10:8787';
+        input.value = typeof saved === 'string' ? saved : '';
+    });
+}
+
+/** The address typed in, or this page's server if left blank.  A bare host:port gets ws://. */
+function signallingServerUrl(input) {
+    const text = input.value.trim() || pageServerUrl();
+    return /^wss?:\/\//i.test(text) ? text : `ws://${text}`;
 }
 
 /* ── Action handlers — Host lobby ──────────────────────────── */
 
-async function doGenerateOffer() {
+/**
+ * Host: take the name from the lobby and set up networking, once.
+ * @returns {boolean} false if there's no name yet
+ */
+function startHosting() {
     const el = getEl();
     const name = el.hostNameInput?.value?.trim();
-    if (!name) { showToast('Please enter your name first.', 'error'); return; }
+    if (!name) { showToast('Please enter your name first.', 'error'); return false; }
 
     setLocalPlayerName(name);
+    const look = getOwnLook(name);
+    if (look) setPlayerProfile(name, look);
 
     // Create network manager if needed
     if (!net) {
         net = new NetworkManager();
         net.isHost    = true;
-        net.localName = name;
         net.onPeerConnected    = onHostPeerConnected;
+        net.onPeerReconnected  = onHostPeerReconnected;
         net.onPeerDisconnected = onHostPeerDisconnected;
         net.onMessage          = onHostMessage;
         net.onError            = (err) => showToast(err, 'error');
+        setDiagnosticsAvailable(true);
+        refreshSeedSecret();
     }
+    net.localName = name;   // the name may have been edited since, and joiners can't take it
+    return true;
+}
+
+async function doGenerateOffer() {
+    const el = getEl();
+    if (!startHosting()) return;
 
     setHostStatus('Generating invite code...');
     try {
         const { offerCode } = await net.createOffer();
         const offerArea = document.getElementById('offer-code-area');
         if (offerArea) offerArea.value = offerCode;
+        _shareLinks.invite = buildLink(location.href, LinkKind.JOIN, offerCode);
+        renderQRCode(el.offerQr, _shareLinks.invite);
 
         document.getElementById('offer-section').style.display = 'block';
         document.getElementById('answer-section').style.display = 'block';
-        setHostStatus('Share the invite code with a player, then paste their response code below.');
+        setHostStatus('Share the invite link or code with a player, then paste their response below.');
     } catch (e) {
         setHostStatus('Error generating invite: ' + e.message);
         showToast('Failed to generate invite code.', 'error');
     }
 }
 
+/** Host: open a room on the signalling server, so players can join by its code. */
+async function doOpenRoom() {
+    const el = getEl();
+    if (!startHosting()) return;
+    if (_hostRoom) { showToast(`Room ${_hostRoom.room} is already open.`, 'info'); return; }
+
+    const url = signallingServerUrl(el.hostServerInput);
+    const signalling = new WebSocketSignalling(url);
+    _hostRoom = signalling;
+    setHostStatus('Opening a room...');
+    try {
+        await signalling.createRoom();
+    } catch (e) {
+        if (_hostRoom === signalling) _hostRoom = null;
+        setHostStatus('Couldn\'t open a room: ' + e.message);
+        showToast('Couldn\'t open a room. Check the server address.', 'error');
+        return;
+    }
+    if (_hostRoom !== signalling || !net) { signalling.close(); return; }   // left the lobby meanwhile
+
+    net.useSignalling(signalling);
+    signalling.onClose = (reason) => {
+        if (_hostRoom !== signalling) return;
+        _hostRoom = null;
+        setRoomCode(null);
+        setHostStatus(`${reason} Players already here stay connected.`);
+    };
+    saveJSON(StorageKey.SIGNAL_SERVER, url);
+    setRoomCode(signalling.room);
+    setHostStatus(`Players can join with room code ${signalling.room}.`);
+}
+
 async function doAcceptAnswer() {
     const area = document.getElementById('answer-paste-area');
-    const code = area?.value?.trim();
-    if (!code) { showToast('Paste the response code first.', 'error'); return; }
+    const text = area?.value?.trim();
+    if (!text) { showToast('Paste the response code first.', 'error'); return; }
+    const { code, error } = codeFromInput(text, LinkKind.ANSWER);
+    if (error) { setHostStatus(error); showToast(error, 'error'); return; }
 
     setHostStatus('Connecting...');
     try {
@@ -362,103 +1274,332 @@ async function doAcceptAnswer() {
     }
 }
 
-function onHostPeerConnected(peerId, peerName) {
-    addOnlinePeer(peerId, peerName);
+function onHostPeerConnected(peerId, peerName, look, spectator) {
+    if (_openSeats.has(peerName)) {
+        // A player of the match this device took over, coming back to their seat — with its token
+        const { token, hold } = _openSeats.get(peerName);
+        if (!holdsSeatToken(peerId, token)) {
+            net.rejectPeer(peerId, seatClaimRejection(peerName));
+            return;
+        }
+        clearTimeout(hold);
+        _openSeats.delete(peerName);
+        addOnlinePeer(peerId, peerName, look);
+        refreshHostLobby();
+        showToast(`${peerName} is back in their seat.`, 'success');
+        broadcastLobbyUpdate();
+        sendRejoin(peerId);
+        refreshSuccession();
+        return;
+    }
+
+    // Anyone arriving mid-match watches it; the host can seat them for the next one
+    const late = isMatchInProgress();
+    addOnlinePeer(peerId, peerName, look, spectator || late);
     refreshHostLobby();
-    showToast(`${peerName} joined!`, 'success');
+    showToast(spectator || late ? `${peerName} is watching.` : `${peerName} joined!`, 'success');
 
     // Send lobby update to all peers
     broadcastLobbyUpdate();
+    if (late) sendSpectate(peerId);
+}
+
+/** Bring a spectator up to date with the match so far — public state only, no role. */
+function sendSpectate(peerId) {
+    net.sendToPeer(peerId, { type: 'spectate', version: PROTOCOL_VERSION, state: serialiseForSync() });
+}
+
+function doPromoteSpectator(peerId) {
+    const peer = getSpectators().find(p => p.id === peerId);
+    if (!peer) return;
+    promoteSpectator(peerId);
+    refreshHostLobby();
+    broadcastLobbyUpdate();
+    showToast(isMatchInProgress()
+        ? `${peer.name} will play from the next match.`
+        : `${peer.name} is now a player.`, 'success');
+}
+
+/** Host leaves the match screens to invite more people — the match carries on. */
+function doOpenLobbyMidMatch() {
+    refreshHostLobby();
+    setHostStatus('Match in progress — dropped players can reconnect; anyone new watches until the next match.');
+    showScreen('host-lobby');
+}
+
+/** Back from the lobby to whatever the match is showing now. */
+function doReturnToMatch() {
+    switch (getState().currentPhase) {
+        case Phase.REVEAL:
+            showScreen('online-reveal');
+            break;
+        case Phase.CLUES:
+        case Phase.DEBATE:
+            showScreen('discussion');
+            break;
+        case Phase.VOTE:
+            showBallot();
+            showScreen('vote');
+            break;
+        case Phase.GUESS:
+            showGuessScreen();
+            showScreen('guess');
+            break;
+    }
 }
 
 function onHostPeerDisconnected(peerId) {
     const state = getState();
     const peer = state.onlinePeers.find(p => p.id === peerId);
+    // A player who drops mid-match keeps their seat for a while, to reconnect into
+    if (peer && isMatchInProgress() && state.players.includes(peer.name)) {
+        setOnlinePeerAway(peerId, true);
+        _seatHolds.set(peerId, setTimeout(() => dropOnlinePeer(peerId), RECONNECT_GRACE_MS));
+        refreshHostLobby();
+        refreshSuccession();
+        showToast(`${peer.name} lost connection — their seat is held for ${RECONNECT_GRACE_MS / 1000}s.`, 'error');
+        return;
+    }
+    dropOnlinePeer(peerId);
+}
+
+/** Treat a peer as gone for good. */
+function dropOnlinePeer(peerId) {
+    clearTimeout(_seatHolds.get(peerId));
+    _seatHolds.delete(peerId);
+    const peer = getState().onlinePeers.find(p => p.id === peerId);
     const name = peer?.name ?? 'A player';
+    const seat = peer && isMatchInProgress() ? getState().players.indexOf(peer.name) : -1;
     removeOnlinePeer(peerId);
+    net?.endSession(peerId);
     refreshHostLobby();
     showToast(`${name} disconnected.`, 'error');
     broadcastLobbyUpdate();
+    refreshSuccession();
+    if (seat !== -1) giveUpSeat(seat);
+}
+
+/**
+ * Host: a seat's player won't be back this match.  Whatever was waiting
+ * on them — a ready, a vote, the last-chance guess — goes ahead without them.
+ */
+function giveUpSeat(seat) {
+    const state = getState();
+    markSeatAbsent(seat);
+    switch (state.currentPhase) {
+        case Phase.REVEAL:
+            if (state._hostReady) checkAllReady();
+            break;
+        case Phase.VOTE:
+            if (allVotesIn()) {
+                finishVote();
+            } else {
+                showBallot();
+                broadcastPhase();
+            }
+            break;
+        case Phase.GUESS:
+            if (state.eliminatedIndex === seat) doSkipGuess();
+            break;
+    }
+}
+
+/** A dropped peer came back with its session token: give them their seat back. */
+function onHostPeerReconnected(peerId, previousId, name) {
+    clearTimeout(_seatHolds.get(previousId));
+    _seatHolds.delete(previousId);
+    const peer = reattachOnlinePeer(previousId, peerId);
+    if (!peer) {
+        // Their seat was already given up — they join like anyone new
+        onHostPeerConnected(peerId, name, net.peers.get(peerId)?.profile ?? null, false);
+        return;
+    }
+    net.peers.get(peerId).name = peer.name;   // the seat's name, whatever they typed this time
+    refreshHostLobby();
+    showToast(`${peer.name} reconnected.`, 'success');
+    broadcastLobbyUpdate();
+    if (isMatchInProgress()) sendRejoin(peerId);
+    refreshSuccession();
+}
+
+/**
+ * A peer's state stopped matching ours: send it all again, role included.
+ * A player who keeps falling out of sync is flagged in the lobby.
+ */
+function onHostPeerDesynced(peerId, msg) {
+    if (!isMatchInProgress()) return;   // a sync that crossed the end of the match
+    const name = net.peers.get(peerId)?.name ?? 'A player';
+    const record = _desyncs.get(name) ?? { count: 0, lastAt: 0 };
+    if (Date.now() - record.lastAt < RESYNC_RETRY_MS / 2) return;   // faster than a peer should ask
+    record.count++;
+    record.lastAt = Date.now();
+    _desyncs.set(name, record);
+    logDesync(`${name} fell out of sync (${msg.checksum}, expected ${msg.expected}).`);
+
+    const idx = getPeerPlayerIndex(peerId);
+    net.sendToPeer(peerId, {
+        type: 'resync', version: PROTOCOL_VERSION,
+        state: serialiseForSync(), checksum: getStateChecksum(),
+        role: idx === -1 ? null : getRoleFor(idx),
+    });
+
+    if (record.count === DESYNC_FLAG_COUNT) {
+        showToast(`${name} keeps falling out of sync — their connection may be unreliable.`, 'error', 6000);
+        refreshHostLobby();
+    }
+}
+
+/** Whether a player has fallen out of sync often enough to be flagged. */
+function isDesyncFlagged(name) {
+    return (_desyncs.get(name)?.count ?? 0) >= DESYNC_FLAG_COUNT;
+}
+
+/** Re-send a reconnected player their role and where the match is now. */
+function sendRejoin(peerId) {
+    const idx = getPeerPlayerIndex(peerId);
+    if (idx === -1) { sendSpectate(peerId); return; }
+    net.sendToPeer(peerId, {
+        type: 'rejoin', version: PROTOCOL_VERSION,
+        name: getState().players[idx], state: serialiseForSync(), role: getRoleFor(idx),
+        fairness: publicFairness(),
+    });
 }
 
 function refreshHostLobby() {
     const state = getState();
     const names = getOnlinePlayerNames();
-    renderLobbyPlayerList(document.getElementById('host-player-list'), names, state.localPlayerName);
-
+    const away = state.onlinePeers.filter(p => p.away).map(p => p.name);
+    const players = names.map(n => ({ ...getPlayerProfile(n), away: away.includes(n), outOfSync: isDesyncFlagged(n) }));
+    const spectators = getSpectators().map(p => ({ ...getPlayerProfile(p.name), id: p.id }));
+    renderLobbyPlayerList(document.getElementById('host-player-list'), players,
+        state.localPlayerName, spectators, doPromoteSpectator);
+    renderScoreboard(getEl().hostScoreboard, getScoreboard());
+
+    const inMatch = isMatchInProgress();
     const btn = document.getElementById('host-start-btn');
     if (btn) {
         const enough = names.length >= 3;
-        btn.disabled = !enough;
-        btn.textContent = enough ? 'Start Game' : `Start Game (need ${3 - names.length} more)`;
+        btn.disabled = !enough || inMatch;
+        btn.textContent = inMatch ? 'Match in progress'
+            : enough ? 'Start Game' : `Start Game (need ${3 - names.length} more)`;
     }
+    const back = document.getElementById('host-return-btn');
+    if (back) back.style.display = inMatch ? 'block' : 'none';
 }
 
 function broadcastLobbyUpdate() {
     if (!net) return;
+    const state = getState();
+    if (state.mode !== GameMode.ONLINE_HOST) return;
     const names = getOnlinePlayerNames();
-    net.broadcast({ type: 'lobby_update', players: names });
+    saveJSON(StorageKey.LOBBY, {
+        role: 'host', name: state.localPlayerName, players: names,
+        scores: state.scores, matchesPlayed: state.matchesPlayed,
+    });
+    net.broadcast({
+        type: 'lobby_update', players: names, profiles: state.profiles,
+        spectators: getSpectators().map(p => p.name),
+        scores: state.scores, matchesPlayed: state.matchesPlayed,
+        seedCommit: _seedSecret?.commit ?? null,
+    });
 }
 
-function doHostStartGame() {
+async function doHostStartGame() {
     const state = getState();
     const names = getOnlinePlayerNames();
     if (names.length < 3) { showToast('Need at least 3 players.', 'error'); return; }
+    const catErr = setCategories(getCheckedValues(getEl().hostCategoryPicker));   // fullReset() keeps these
+    if (catErr) { showToast(catErr, 'error'); return; }
+
+    // The seed comes from our committed secret and the players' randomness, unless one was typed in
+    const typedSeed  = getEl().hostSeedInput.value.trim();
+    const seedSecret = _seedSecret;
+    const entropy    = Object.fromEntries(names.filter(n => _seedEntropy.has(n)).map(n => [n, _seedEntropy.get(n)]));
+    const seed = typedSeed || (seedSecret ? await deriveSeed(seedSecret.secret, entropy) : '');
+    if (isMatchInProgress() || !net) return;   // a second click started it meanwhile, or we left
 
     // Set up game state with online player names
+    const spectatorIds = getSpectators().map(p => p.id);   // fullReset() forgets who is watching
     fullReset();
     setMode(GameMode.ONLINE_HOST);
     setIsHost(true);
     setLocalPlayerName(getEl().hostNameInput.value.trim());
-    setCategory(document.getElementById('host-category-select').value);
+    net.localName = state.localPlayerName;
+    const look = getOwnLook(state.localPlayerName);
+    if (look) setPlayerProfile(state.localPlayerName, look);
 
-    // Re-add online peers to state
+    // Re-add online peers first, so the lobby keeps its roster if the game can't start
     for (const [id, p] of net.peers) {
-        if (p.name) addOnlinePeer(id, p.name);
+        if (p.name) addOnlinePeer(id, p.name, p.profile, spectatorIds.includes(id));
     }
 
+    setDifficulty(getEl().hostDifficultySelect.value);
+    setVariant(getEl().hostVariantSelect.value);
+    setTieRule(getEl().hostTieRuleSelect.value);
+    setImposterCount(getEl().hostImposterCountSelect.value);
+    setShowImposterPartners(getEl().hostShowPartnersCheck.checked);
+    setSpecialRoles(getCheckedValues(getEl().hostRolePicker));
+    setTurnTimers(getEl().hostClueTimerSelect.value, getEl().hostDebateTimerSelect.value);
+    setRequestedSeed(seed);
+
     // Add all player names
-    names.forEach(n => addPlayer(n));
+    for (const n of names) {
+        const addErr = addPlayer(n);
+        if (addErr) { showToast(`${n}: ${addErr}`, 'error'); return; }
+    }
 
     const err = startGame();
     if (err) { showToast(err, 'error'); return; }
 
-    // Send each peer their role
     const gs = getState();
+    if (seedSecret) {
+        const word = gs.currentWord;
+        const { salt, commit } = await commitOutcome(word.word, word.decoy ?? null, gs.imposterIndices);
+        setFairness({
+            secret: seedSecret.secret, seedCommit: seedSecret.commit, entropy, hostSeed: !!typedSeed,
+            salt, outcomeCommit: commit,
+        });
+        _seedSecret = null;   // used up: the next match gets a new one
+        refreshSeedSecret();
+        if (!net) return;
+    }
+
+    // Send each peer their role
     for (const [peerId, p] of net.peers) {
         if (!p.name) continue;
         const playerIdx = gs.players.indexOf(p.name);
-        if (playerIdx === -1) continue;
-        const isImp = playerIdx === gs.imposterIndex;
+        if (playerIdx === -1) {
+            sendSpectate(peerId);
+            continue;
+        }
         net.sendToPeer(peerId, {
             type: 'game_start',
             version: PROTOCOL_VERSION,
             players: gs.players,
-            category: gs.category,
-            role: {
-                isImposter: isImp,
-                word: isImp ? null : gs.currentWord.word,
-                hint: isImp ? gs.currentWord.hint : null,
-            },
+            profiles: gs.profiles,
+            categories: gs.categories,
+            difficulty: gs.difficulty,
+            variant: gs.variant,
+            role: getRoleFor(playerIdx),
+            fairness: publicFairness(),
         });
     }
 
     // Start sync loop
     net.startPingLoop();
-    net.startSyncLoop(() => serialiseForSync());
+    net.startSyncLoop(serialiseForSync, getStateChecksum, escrowHostGame);
 
     // Host sees their own role on the online reveal screen
-    const hostIdx = gs.players.indexOf(gs.localPlayerName);
-    const hostIsImp = hostIdx === gs.imposterIndex;
-    applyRoleAssignment({
-        isImposter: hostIsImp,
-        word: hostIsImp ? null : gs.currentWord.word,
-        hint: hostIsImp ? gs.currentWord.hint : null,
-    });
+    applyRoleAssignment(getRoleFor(getLocalPlayerIndex()));
     resetOnlinePeerReady();
 
-    updateOnlineRevealScreen(gs.localPlayerName);
+    updateOnlineRevealScreen(getPlayerProfile(gs.localPlayerName));
     showScreen('online-reveal');
+    setHostInviteVisible(true);
+
+    _escrow = newEscrow();
+    clearOpenSeats();
+    refreshSuccession();
 }
 
 /** Host handles messages from peers (after built-in ping/pong/hello). */
@@ -471,17 +1612,84 @@ function onHostMessage(peerId, msg) {
             break;
         }
         case 'input': {
-            // Peer-initiated actions (future expansion)
+            handlePeerInput(peerId, msg);
+            break;
+        }
+        case 'escrow_key': {
+            doResumeTakenOverMatch(msg.key);
+            break;
+        }
+        case 'resync_request': {
+            onHostPeerDesynced(peerId, msg);
             break;
         }
+        case 'entropy': {
+            // Only randomness for the secret we committed to counts, and only the first sent
+            const name = net.peers.get(peerId)?.name;
+            if (name && msg.seedCommit === _seedSecret?.commit && !_seedEntropy.has(name)) {
+                _seedEntropy.set(name, msg.entropy);
+            }
+            break;
+        }
+    }
+}
+
+/** Index in `players` of the peer's seat, or -1. */
+function getPeerPlayerIndex(peerId) {
+    const p = net?.peers.get(peerId);
+    return p?.name ? getState().players.indexOf(p.name) : -1;
+}
+
+/** Host applies a peer-initiated action, if that player may take it now (see checkPeerAction()). */
+function handlePeerInput(peerId, msg) {
+    const idx = getPeerPlayerIndex(peerId);
+    const err = checkPeerAction(msg.action, idx) ?? applyPeerAction(idx, msg);
+    if (err) net.sendToPeer(peerId, { type: 'error', message: err });
+}
+
+/**
+ * Carry out a permitted peer action.  Every effect reaches the peers as a
+ * state change: a phase change, a sync or a timer update.
+ * @returns {string|null} error or null
+ */
+function applyPeerAction(idx, msg) {
+    const name = getState().players[idx];
+    switch (msg.action) {
+        case PeerAction.CLUE:
+            return applyClue(idx, msg.text);
+        case PeerAction.CLUE_DONE:
+            doNextClueTurn();
+            return null;
+        case PeerAction.START_DEBATE:
+            if (requestDebate(idx)) {
+                showToast('Most players want to debate — skipping the rest of the clues.', 'info');
+                doStartDebate();
+            } else {
+                showToast(`${name} wants to start the debate `
+                    + `(${getState().debateRequests.length}/${getDebateRequestsNeeded()}).`, 'info');
+                net.syncNow();
+            }
+            return null;
+        case PeerAction.VOTE:
+            return applyVote(idx, msg.target);
+        case PeerAction.GUESS:
+            return applyImposterGuess(msg.text);
+        case PeerAction.PAUSE_TIMER:
+            doToggleTimer();
+            showToast(`${name} paused the timer.`, 'info');
+            return null;
     }
+    return null;
 }
 
 function checkAllReady() {
     const state = getState();
     // Host must also be ready
     if (!state._hostReady) return;
-    const allPeersReady = state.onlinePeers.every(p => p.ready);
+    // Spectators have no role to read
+    const allPeersReady = state.onlinePeers
+        .filter(p => state.players.includes(p.name))
+        .every(p => p.ready);
     if (allPeersReady) {
         // All ready — move to clue phase
         doStartCluePhase();
@@ -490,14 +1698,8 @@ function checkAllReady() {
 
 /* ── Action handlers — Join lobby ──────────────────────────── */
 
-async function doGenerateAnswer() {
-    const el = getEl();
-    const name = el.joinNameInput?.value?.trim();
-    if (!name) { showToast('Please enter your name first.', 'error'); return; }
-
-    const offerCode = document.getElementById('offer-paste-area')?.value?.trim();
-    if (!offerCode) { showToast('Paste the host\'s invite code first.', 'error'); return; }
-
+/** Peer: a fresh NetworkManager for joining under this name. */
+function startJoining(name) {
     setLocalPlayerName(name);
 
     // Create network manager
@@ -505,18 +1707,67 @@ async function doGenerateAnswer() {
     net = new NetworkManager();
     net.isHost    = false;
     net.localName = name;
+    net.localProfile = getOwnLook(name);
+    net.spectate     = getEl().joinSpectateCheck.checked;
+    // Rejoining under the same name reclaims the seat held for us
+    const lobby = loadJSON(StorageKey.LOBBY, null);
+    net.sessionToken = lobby?.role === 'peer' && lobby.name === name ? lobby.token ?? null : null;
     net.onConnectedToHost  = onPeerConnectedToHost;
+    net.onRejected         = onPeerRejectedByHost;
     net.onPeerDisconnected = onPeerDisconnectedFromHost;
     net.onMessage          = onPeerMessage;
     net.onError            = (err) => showToast(err, 'error');
+}
+
+/** Peer: join the host's room on the signalling server by its code. */
+async function doJoinRoom() {
+    const el = getEl();
+    const name = el.joinNameInput?.value?.trim();
+    if (!name) { showToast('Please enter your name first.', 'error'); return; }
+    const room = el.joinRoomInput.value.trim().toUpperCase();
+    if (!/^[A-Z0-9]{4,6}$/.test(room)) { showToast('Room codes are 4–6 letters and numbers.', 'error'); return; }
+
+    startJoining(name);
+    const url = signallingServerUrl(el.joinServerInput);
+    const signalling = new WebSocketSignalling(url);
+    net.useSignalling(signalling);
+    signalling.onClose = (reason) => {
+        if (net && !net.isConnected()) setJoinStatus(reason);
+    };
+
+    setJoinStatus('Joining room...');
+    try {
+        await signalling.joinRoom(room);
+    } catch (e) {
+        setJoinStatus(e.message);
+        showToast('Couldn\'t join that room.', 'error');
+        return;
+    }
+    saveJSON(StorageKey.SIGNAL_SERVER, url);
+    setJoinStatus(`In room ${room} — connecting to the host...`);
+}
+
+async function doGenerateAnswer() {
+    const el = getEl();
+    const name = el.joinNameInput?.value?.trim();
+    if (!name) { showToast('Please enter your name first.', 'error'); return; }
+
+    const offerText = document.getElementById('offer-paste-area')?.value?.trim();
+    if (!offerText) { showToast('Paste the host\'s invite code first.', 'error'); return; }
+    const { code: offerCode, error } = codeFromInput(offerText, LinkKind.JOIN);
+    if (error) { setJoinStatus(error); showToast(error, 'error'); return; }
+
+    startJoining(name);
 
     setJoinStatus('Generating response code...');
     try {
         const answerCode = await net.createAnswer(offerCode);
         const area = document.getElementById('answer-code-area');
         if (area) area.value = answerCode;
+        _shareLinks.answer = buildLink(location.href, LinkKind.ANSWER, answerCode);
+        renderQRCode(el.answerQr, _shareLinks.answer);
         document.getElementById('answer-out-section').style.display = 'block';
-        setJoinStatus('Share the response code with the host and wait for connection.');
+        setJoinStatus('Share the response link or code with the host and wait for connection.');
     } catch (e) {
         setJoinStatus('Error: ' + e.message);
         showToast('Failed to process invite code. Is it valid?', 'error');
@@ -524,14 +1775,124 @@ async function doGenerateAnswer() {
 }
 
 function onPeerConnectedToHost() {
-    setJoinStatus('Connected to host! Waiting for game to start...');
+    if (_migration.hostLeft && _migration.key) {
+        // We hold the key to the match the old host left — unlock it for the new one
+        net.sendToHost({ type: 'escrow_key', key: _migration.key });
+        _migration = newMigration();
+    }
+    saveJSON(StorageKey.LOBBY, { role: 'peer', name: net.localName, token: net.sessionToken });
+    setJoinStatus(net.spectate
+        ? 'Connected to host! You\'ll watch the next match.'
+        : 'Connected to host! Waiting for game to start...');
     showToast('Connected!', 'success');
+    setDiagnosticsAvailable(true);
     net.startPingLoop();
 }
 
+/** The host turned us away — most often a different version of the game. */
+function onPeerRejectedByHost(reason) {
+    net = null;   // already closed
+    setJoinStatus(reason);
+    showToast(reason, 'error', 6000);
+    showScreen('join-lobby');
+}
+
 function onPeerDisconnectedFromHost() {
-    setJoinStatus('Disconnected from host. Try rejoining.');
     showToast('Lost connection to host.', 'error');
+    if (isMatchInProgress()) {
+        // Back to the join screen, name still filled in, to paste a fresh invite
+        _migration.hostLeft = true;
+        const { backup } = _migration;
+        const canTakeOver = backup === getState().localPlayerName && !!_migration.sealed;
+        setTakeOverVisible(canTakeOver);
+        setJoinStatus(canTakeOver
+            ? 'Disconnected. If the host has left, take over — otherwise ask them for a new invite code.'
+            : backup
+                ? `Disconnected. Ask the host for a new invite code — or, if they have left, ${backup} for one.`
+                : 'Disconnected. Ask the host for a new invite code — your seat is held for a minute.');
+        showScreen('join-lobby');
+    } else {
+        setJoinStatus('Disconnected from host. Try rejoining.');
+    }
+}
+
+/** Peer shows the screen for the phase the host just moved to. */
+function showPeerPhase(phase) {
+    refreshPeerActions();
+    switch (phase) {
+        case 'REVEAL':
+            // Only spectators get here — players see their role from game_start
+            setJoinStatus('You\'re watching. The players are checking their roles...');
+            showScreen('join-lobby');
+            break;
+        case 'CLUES':
+            updateCluePhaseUI(getPlayerProfile(getCurrentCluePlayer()));
+            refreshClueEntry();
+            refreshTimerUI();
+            setDiscussionHostControls(false);
+            setTimerControlsVisible(false);
+            showScreen('discussion');
+            break;
+        case 'DEBATE':
+            updateDebatePhaseUI();
+            renderClueBoard(getClueBoard());
+            refreshTimerUI();
+            setDiscussionHostControls(false);
+            setTimerControlsVisible(false);
+            showScreen('discussion');
+            break;
+        case 'VOTE':
+            showBallot();
+            showScreen('vote');
+            break;
+        case 'GUESS':
+            showGuessScreen();
+            showScreen('guess');
+            break;
+        case 'RESULTS':
+            _migration = newMigration();
+            recordMatch();
+            renderResultsScreen();
+            showScreen('results');
+            break;
+    }
+}
+
+/**
+ * Peer: our copy of the match no longer matches the host's.  Ask for all of
+ * it again — unless we asked moments ago and the answer is on its way.
+ */
+function onPeerDesynced(reason, expected) {
+    logDesync(reason);
+    if (Date.now() - _resyncRequestedAt < RESYNC_RETRY_MS) return;
+    _resyncRequestedAt = Date.now();
+    const name = getState().localPlayerName;
+    _desyncs.set(name, { count: (_desyncs.get(name)?.count ?? 0) + 1, lastAt: _resyncRequestedAt });
+    net.sendToHost({ type: 'resync_request', checksum: getStateChecksum(), expected });
+}
+
+/** Peer: take the host's full state (and our role) and redraw whatever phase it is in. */
+function applyResync(msg) {
+    _resyncRequestedAt = 0;
+    const state = getState();
+    const oldRole  = JSON.stringify(state._localRole);
+    const revealed = state.isRoleRevealed;
+    applyHostState(msg.state);
+    if (msg.role) applyRoleAssignment(msg.role);
+    const roleChanged = JSON.stringify(state._localRole) !== oldRole;
+    if (!roleChanged) state.isRoleRevealed = revealed;
+    logDesync(getStateChecksum() === msg.checksum
+        ? 'Resynced with the host.'
+        : `Resynced, but the checksum still differs (${getStateChecksum()}, expected ${msg.checksum}).`);
+
+    if (state.currentPhase === Phase.REVEAL && msg.role) {
+        // Only a new role needs showing again; otherwise the reveal screen is already right
+        if (!roleChanged) return;
+        updateOnlineRevealScreen(getPlayerProfile(state.localPlayerName));
+        showScreen('online-reveal');
+        return;
+    }
+    showPeerPhase(state.currentPhase);
 }
 
 /** Peer handles messages from host. */
@@ -539,59 +1900,135 @@ function onPeerMessage(_fromId, msg) {
     switch (msg.type) {
         case 'lobby_update': {
             const list = document.getElementById('join-player-list');
-            renderLobbyPlayerList(list, msg.players, null);
+            Object.entries(msg.profiles ?? {}).forEach(([n, look]) => setPlayerProfile(n, look));
+            renderLobbyPlayerList(list, msg.players.map(getPlayerProfile), null,
+                (msg.spectators ?? []).map(getPlayerProfile));
+            applyHostScores(msg.scores, msg.matchesPlayed);
+            renderScoreboard(getEl().joinScoreboard, getScoreboard());
+            if (msg.seedCommit) {
+                _firstCommit ??= msg.seedCommit;
+                sendEntropy(msg.seedCommit);
+            }
             break;
         }
 
         case 'game_start': {
             const myName = net.localName;
+            _migration = newMigration();
             // Set up local state
             fullReset();
             setMode(GameMode.ONLINE_PEER);
             setIsHost(false);
             setLocalPlayerName(myName);
-            msg.players.forEach(n => addPlayer(n));
-            setCategory(msg.category);
+            msg.players.forEach(n => addPlayer(n, msg.profiles?.[n]));
+            setCategories(msg.categories ?? []);
+            setDifficulty(msg.difficulty);
+            setVariant(msg.variant);
 
             // Apply role
             applyRoleAssignment(msg.role);
+            getState().currentPhase = Phase.REVEAL;   // the first sync fills in the rest
+            _fairness = msg.fairness ? { committed: msg.fairness, firstCommit: _firstCommit, result: null } : null;
+            _firstCommit = null;
 
             // Show online reveal screen
-            updateOnlineRevealScreen(myName);
+            updateOnlineRevealScreen(getPlayerProfile(myName));
             showScreen('online-reveal');
             break;
         }
 
-        case 'phase_change': {
+        case 'spectate': {
+            const myName = net.localName;
+            fullReset();
+            setMode(GameMode.ONLINE_PEER);
+            setIsHost(false);
+            setLocalPlayerName(myName);
             applyHostState(msg.state);
-            const state = getState();
+            showToast('You\'re watching this match.', 'info');
+            showPeerPhase(msg.state.currentPhase);
+            break;
+        }
+
+        case 'succession': {
+            _migration.backup    = msg.backup ?? null;
+            _migration.keyHolder = msg.keyHolder ?? null;
+            if (_migration.backup !== getState().localPlayerName)    _migration.sealed = null;
+            if (_migration.keyHolder !== getState().localPlayerName) _migration.key    = null;
+            break;
+        }
+
+        case 'escrow': {
+            _migration.sealed = msg.sealed;
+            break;
+        }
+
+        case 'escrow_key': {
+            _migration.key = msg.key;
+            break;
+        }
 
-            switch (msg.phase) {
-                case 'CLUES':
-                    updateCluePhaseUI(getCurrentCluePlayer());
-                    updateTimerDisplay(state.timerSeconds);
-                    setTimerButtonLabel(state.timerRunning);
-                    setDiscussionHostControls(false);
-                    showScreen('discussion');
-                    break;
-                case 'DEBATE':
-                    updateDebatePhaseUI();
-                    updateTimerDisplay(state.timerSeconds);
-                    setTimerButtonLabel(state.timerRunning);
-                    setDiscussionHostControls(false);
-                    showScreen('discussion');
-                    break;
-                case 'RESULTS':
-                    showScreen('results');
-                    break;
+        case 'rejoin': {
+            net.localName = msg.name;
+            fullReset();
+            setMode(GameMode.ONLINE_PEER);
+            setIsHost(false);
+            setLocalPlayerName(msg.name);
+            applyHostState(msg.state);
+            applyRoleAssignment(msg.role);
+            // Back on the same page, we still know what the host committed to before dealing
+            const firstCommit = _fairness?.committed.seedCommit === msg.fairness?.seedCommit ? _fairness.firstCommit : null;
+            _fairness = msg.fairness ? { committed: msg.fairness, firstCommit, result: null } : null;
+            showToast('Reconnected — you\'re back in your seat.', 'success');
+            if (msg.state.currentPhase === Phase.REVEAL) {
+                updateOnlineRevealScreen(getPlayerProfile(msg.name));
+                showScreen('online-reveal');
+            } else {
+                showPeerPhase(msg.state.currentPhase);
             }
             break;
         }
 
+        case 'phase_change': {
+            applyHostState(msg.state);
+            showPeerPhase(msg.phase);
+            break;
+        }
+
         case 'sync': {
-            // Periodic state sync — apply and check for desync
+            // Periodic state sync — apply and check for desync.  Between matches
+            // (or before our first) there is no match of ours to check against.
+            if (!isMatchInProgress()) break;
+            const shownPhase = getState().currentPhase;
             applyHostState(msg.state);
-            updateTimerDisplay(getState().timerSeconds);
+            const state = getState();
+            refreshTimerUI();
+            if (state.currentPhase === Phase.VOTE) {
+                updateVoteProgress(state.votedIndices.length, getVoterCount());
+            }
+            refreshPeerActions();
+            if (state.currentPhase !== shownPhase) {
+                onPeerDesynced(`Missed the move from ${shownPhase} to ${state.currentPhase}.`, msg.checksum);
+            } else if (getStateChecksum() !== msg.checksum) {
+                onPeerDesynced(`State checksum ${getStateChecksum()}, expected ${msg.checksum}.`, msg.checksum);
+            }
+            break;
+        }
+
+        case 'resync': {
+            applyResync(msg);
+            break;
+        }
+
+        case 'reveal': {
+            checkFairness(msg);
+            break;
+        }
+
+        case 'timer': {
+            applyHostTimer(msg);
+            refreshTimerUI();
+            refreshPeerActions();
+            playTimerCue();
             break;
         }
 
@@ -609,6 +2046,253 @@ function onPeerMessage(_fromId, msg) {
     }
 }
 
+/* ── Fairness (commit–reveal) ──────────────────────────────── */
+
+/**
+ * Host: commit to a new secret for the next match, and collect fresh randomness for it.
+ * Once players have seen a commitment it stays until a match uses it, so the draw can't be re-rolled.
+ */
+async function refreshSeedSecret() {
+    if (_seedSecret) return;
+    let next;
+    try {
+        next = await createSeedSecret();
+    } catch {
+        _seedSecret = null;   // no Web Crypto (plain http) — matches go ahead without commitments
+        return;
+    }
+    _seedSecret = next;
+    _seedEntropy.clear();
+    broadcastLobbyUpdate();
+}
+
+/** The parts of the host's fairness record every player may see before RESULTS. */
+function publicFairness() {
+    const f = getState().fairness;
+    return f && { seedCommit: f.seedCommit, outcomeCommit: f.outcomeCommit, entropy: f.entropy, hostSeed: f.hostSeed };
+}
+
+/** Host: at RESULTS, show every player what the match's commitments were hiding. */
+function revealFairness() {
+    const state = getState();
+    const f = state.fairness;
+    if (state.mode !== GameMode.ONLINE_HOST || !net || !f) return;
+    net.broadcast({
+        type: 'reveal', secret: f.secret, salt: f.salt, seed: state.seed,
+        word: state.currentWord.word, decoy: state.currentWord.decoy ?? null, imposters: state.imposterIndices,
+    });
+}
+
+/** Peer: add our own randomness to the seed of the host's next match. */
+function sendEntropy(seedCommit) {
+    if (_sentEntropy.has(seedCommit)) return;
+    const entropy = createEntropy();
+    _sentEntropy.set(seedCommit, entropy);
+    if (_sentEntropy.size > SENT_ENTROPY_KEPT) _sentEntropy.delete(_sentEntropy.keys().next().value);
+    net.sendToHost({ type: 'entropy', seedCommit, entropy });
+}
+
+/** Peer: check the host's reveal against its commitments, and show the verdict with the results. */
+async function checkFairness(revealed) {
+    const fairness = _fairness;
+    const state = getState();
+    if (!fairness || !state.outcome) return;   // joined mid-match: nothing was committed to us
+    const { committed } = fairness;
+    const { word, imposterNames, seed } = state.outcome;
+    const shown = { players: state.players, word, imposterNames, seed };
+    const own = {
+        name:        state.localPlayerName,
+        entropy:     _sentEntropy.get(committed.seedCommit) ?? null,
+        firstCommit: fairness.firstCommit,
+    };
+    try {
+        fairness.result = await verifyReveal(committed, revealed, shown, own);
+    } catch {
+        fairness.result = { verdict: Verdict.UNVERIFIED, detail: 'This browser can\'t check — open the game over https or localhost.' };
+    }
+    if (_fairness === fairness) setFairnessBadge(fairness.result);
+}
+
+/* ── Action handlers — Host migration ──────────────────────── */
+
+function newEscrow() {
+    return { key: null, backup: null, keyHolder: null, json: '', busy: false };
+}
+
+function newMigration() {
+    return { backup: null, keyHolder: null, sealed: null, key: null, hostLeft: false };
+}
+
+/**
+ * Host: pick the backup host and the key holder — the first two connected
+ * players after the host — and tell everyone.  A new pair gets a new key,
+ * so nobody who held a part before can combine it with the other half.
+ */
+async function refreshSuccession() {
+    const state = getState();
+    if (state.mode !== GameMode.ONLINE_HOST || !net || !isMatchInProgress()) return;
+    const seated = state.onlinePeers.filter(p => !p.spectator && !p.away && state.players.includes(p.name));
+    const backup    = seated[0]?.name ?? null;
+    const keyHolder = seated[1]?.name ?? null;
+    if (backup === _escrow.backup && keyHolder === _escrow.keyHolder) return;
+
+    _escrow = { ...newEscrow(), backup, keyHolder };
+    net.broadcast({ type: 'succession', backup, keyHolder });
+    if (!backup || !keyHolder) return;   // the escrow needs two other players to split between
+
+    const escrow = _escrow;
+    let key;
+    try {
+        key = await createEscrowKey();
+    } catch {
+        warnMigrationUnavailable();   // no Web Crypto (plain http) — the match goes on without a backup
+        return;
+    }
+    if (_escrow !== escrow || !net) return;   // succession changed while the key was made
+    escrow.key = key;
+    net.sendToPeer(seated[1].id, { type: 'escrow_key', key });
+    escrowHostGame();
+}
+
+/** Host, after each phase change or sync: re-seal the match for the backup if it changed. */
+function escrowHostGame() {
+    const state = getState();
+    if (state.mode !== GameMode.ONLINE_HOST || !net || !_escrow.key || _escrow.busy) return;
+    if (!isMatchInProgress()) return;
+    const backup = state.onlinePeers.find(p => p.name === _escrow.backup && !p.away);
+    if (!backup) return;
+
+    // The host's name goes along, so the new host knows whose seat is empty for good, and
+    // each seat's session token, so only that player's device can claim it back
+    const seats = Object.fromEntries(state.onlinePeers
+        .filter(p => state.players.includes(p.name))
+        .map(p => [p.name, net.getSessionToken(p.id)]));
+    const snap = { ...createSnapshot(), host: state.localPlayerName, seats };
+    const json = JSON.stringify([snap.state, seats]);
+    if (json === _escrow.json) return;
+    const escrow = _escrow;
+    escrow.json = json;
+    escrow.busy = true;
+    sealState(snap, escrow.key)
+        .then(sealed => { if (_escrow === escrow) net?.sendToPeer(backup.id, { type: 'escrow', sealed }); })
+        .catch(() => {
+            escrow.key = null;   // stop trying; the backup keeps whatever it was last sent
+            warnMigrationUnavailable();
+        })
+        .finally(() => { escrow.busy = false; });
+}
+
+/** Host: say once per session that nobody can take over the match if this host leaves. */
+function warnMigrationUnavailable() {
+    if (_migrationWarned) return;
+    _migrationWarned = true;
+    showToast('Host migration is unavailable in this browser (it needs https or localhost) — the match ends if you leave.', 'error');
+}
+
+/** Show the join screen's "Take Over as Host" button (backup host only). */
+function setTakeOverVisible(show) {
+    const btn = document.getElementById('take-over-btn');
+    if (btn) btn.style.display = show ? 'block' : 'none';
+}
+
+/**
+ * The backup host, after the host left: become the host of a new lobby.
+ * The match itself resumes once the key holder reconnects and unlocks it.
+ */
+function doTakeOverAsHost() {
+    const { sealed, keyHolder } = _migration;
+    if (!sealed) return;
+    const myName = getState().localPlayerName;
+    if (net) { net.close(); net = null; }
+    setTakeOverVisible(false);
+
+    fullReset();   // standings survive
+    setMode(GameMode.ONLINE_HOST);
+    setIsHost(true);
+    setLocalPlayerName(myName);
+    _migration = { ...newMigration(), sealed };
+    getEl().hostNameInput.value = myName;
+    refreshHostLobby();
+    showScreen('host-lobby');
+    setHostStatus(`You're the new host. Generate an invite code for each player — the match carries on once ${keyHolder} is back.`);
+}
+
+/** New host: the key holder sent the key — unlock the old host's match and carry on. */
+async function doResumeTakenOverMatch(key) {
+    const { sealed } = _migration;
+    if (!sealed || getState().mode !== GameMode.ONLINE_HOST || isMatchInProgress()) return;
+    let snap;
+    try {
+        snap = await openState(sealed, String(key));
+    } catch {
+        showToast('Couldn\'t unlock the old match — start a new one instead.', 'error');
+        return;
+    }
+
+    const me    = getState().localPlayerName;
+    const seats = snap.seats ?? {};
+    const lobby = getState().onlinePeers.map(p => ({ ...p }));   // restoreSnapshot() resets them
+    const err = restoreSnapshot(snap, GameMode.ONLINE_HOST);
+    if (err) { showToast(err, 'error'); return; }
+    setIsHost(true);
+    setLocalPlayerName(me);
+    // Whoever joined under a seat's name must hold that seat's token
+    const peers = lobby.filter(p => {
+        if (!getState().players.includes(p.name) || holdsSeatToken(p.id, seats[p.name])) return true;
+        net.rejectPeer(p.id, seatClaimRejection(p.name));
+        return false;
+    });
+    peers.forEach(p => addOnlinePeer(p.id, p.name, null, p.spectator));
+    _migration = newMigration();
+
+    // Seats whose players haven't reconnected yet can be reclaimed by name, for a while.
+    // The old host's seat is gone for good.
+    const state = getState();
+    clearOpenSeats();
+    state.players
+        .filter(n => n !== me && n !== snap.host && !peers.some(p => p.name === n))
+        .forEach(n => holdOpenSeat(n, seats[n]));
+
+    applyRoleAssignment(getRoleFor(getLocalPlayerIndex()));
+    net.startPingLoop();
+    net.startSyncLoop(serialiseForSync, getStateChecksum, escrowHostGame);
+    state.onlinePeers.forEach(p => sendRejoin(p.id));
+    broadcastLobbyUpdate();
+    setHostInviteVisible(true);
+    showRestoredPhase();
+    showToast('Match resumed — you\'re the host now.', 'success');
+    refreshSuccession();
+    const hostSeat = state.players.indexOf(snap.host);
+    if (hostSeat !== -1 && snap.host !== me) giveUpSeat(hostSeat);
+}
+
+/**
+ * New host: keep a seat of the taken-over match for its player as long as
+ * a dropped player's.  Only a device showing the seat's token can take it.
+ */
+function holdOpenSeat(name, token) {
+    const hold = setTimeout(() => {
+        _openSeats.delete(name);
+        const seat = getState().players.indexOf(name);
+        if (seat !== -1 && isMatchInProgress()) giveUpSeat(seat);
+    }, RECONNECT_GRACE_MS);
+    _openSeats.set(name, { token: token ?? null, hold });
+}
+
+/** New host: did this peer's hello carry the old host's token for the seat? */
+function holdsSeatToken(peerId, token) {
+    return !!token && net.peers.get(peerId)?.presentedToken === token;
+}
+
+function seatClaimRejection(name) {
+    return `${name} is a player in this match — only their own device can take their seat back.`;
+}
+
+function clearOpenSeats() {
+    _openSeats.forEach(({ hold }) => clearTimeout(hold));
+    _openSeats.clear();
+}
+
 /* ── Online reveal handlers ────────────────────────────────── */
 
 function doOnlineReveal() {
@@ -616,7 +2300,7 @@ function doOnlineReveal() {
     if (state.isRoleRevealed) return;
     state.isRoleRevealed = true;
 
-    showOnlineRole(state._localIsImposter, state._localWord, state._localHint);
+    showOnlineRole(state._localRole);
 }
 
 function doOnlineReady() {
@@ -670,6 +2354,47 @@ function handleNav(dir) {
     }
 }
 
+/* ── Diagnostics ───────────────────────────────────────────── */
+
+/** Note a desync for the diagnostics panel. */
+function logDesync(text) {
+    _desyncLog.push({ at: Date.now(), text });
+    if (_desyncLog.length > DESYNC_LOG_LIMIT) _desyncLog.shift();
+    refreshDiagnostics();
+}
+
+function doToggleDiagnostics() {
+    const open = !_diagnosticsTimer;
+    clearInterval(_diagnosticsTimer);
+    _diagnosticsTimer = open ? setInterval(refreshDiagnostics, DIAGNOSTICS_REFRESH_MS) : null;
+    setDiagnosticsOpen(open);
+    refreshDiagnostics();
+}
+
+/** Redraw the diagnostics panel, if it is open: links, latency, desyncs. */
+function refreshDiagnostics() {
+    if (!_diagnosticsTimer || !net) return;
+    const state = getState();
+    const links = net.isHost
+        ? state.onlinePeers.map(p => ({
+            name:     p.name + (p.spectator ? ' (spectator)' : ''),
+            latency:  p.away ? null : net.getLatency(p.id),
+            desyncs:  _desyncs.get(p.name)?.count ?? 0,
+            flagged:  isDesyncFlagged(p.name),
+        }))
+        : [{
+            name:     'Host',
+            latency:  net.getLatency('host'),
+            desyncs:  _desyncs.get(state.localPlayerName)?.count ?? 0,
+            flagged:  false,
+        }];
+    renderDiagnostics({
+        summary: `${net.isHost ? 'Hosting' : 'Connected to host'} · ${state.currentPhase} · checksum ${getStateChecksum()}`,
+        links,
+        events: _desyncLog,
+    });
+}
+
 /* ── Cleanup helper ────────────────────────────────────────── */
 
 function cleanupNet() {
@@ -683,6 +2408,25 @@ function cleanupNet() {
         net.close();
         net = null;
     }
+    _seatHolds.forEach(clearTimeout);
+    _seatHolds.clear();
+    _escrow    = newEscrow();
+    _migration = newMigration();
+    _migrationWarned = false;
+    clearOpenSeats();
+    _hostRoom = null;
+    _desyncs.clear();
+    _desyncLog.length = 0;
+    _seedSecret = null;
+    _seedEntropy.clear();
+    _fairness = null;
+    _firstCommit = null;
+    _resyncRequestedAt = 0;
+    setRoomCode(null);
+    setTakeOverVisible(false);
+    setHostInviteVisible(false);
+    if (_diagnosticsTimer) doToggleDiagnostics();
+    setDiagnosticsAvailable(false);
 }
 
 // Clean up on page unload
@@ -1,84 +1,96 @@
 const wordDatabase = {
     household: [
-        { word: "Pan", hint: "Sizzle" },
-        { word: "Microwave", hint: "Waves" },
-        { word: "Vacuum", hint: "Intake" },
-        { word: "Refrigerator", hint: "Insulated" },
-        { word: "Washing Machine", hint: "Cycle" },
-        { word: "Television", hint: "Signal" },
-        { word: "Coffee Maker", hint: "Grind" },
-        { word: "Toaster", hint: "Element" },
-        { word: "Blender", hint: "Vortex" },
-        { word: "Iron", hint: "Steam" },
-        { word: "Kettle", hint: "Resistance" },
-        { word: "Mirror", hint: "Silver" },
-        { word: "Lamp", hint: "Lumen" },
-        { word: "Curtain", hint: "Drape" },
-        { word: "Pillow", hint: "Feathers" },
-        { word: "Towel", hint: "Terry" },
-        { word: "Soap", hint: "Lather" },
-        { word: "Toothbrush", hint: "Bristles" },
-        { word: "Spoon", hint: "Scoop" },
-        { word: "Fork", hint: "Prong" },
-        { word: "Knife", hint: "Edge" },
-        { word: "Plate", hint: "Ceramic" },
-        { word: "Bowl", hint: "Concave" },
-        { word: "Cup", hint: "Vessel" },
-        { word: "Clock", hint: "Interval" },
-        { word: "Chair", hint: "Posture" },
-        { word: "Table", hint: "Platform" },
-        { word: "Bed", hint: "Springs" },
-        { word: "Wardrobe", hint: "Hinges" },
-        { word: "Hanger", hint: "Shoulder" }
+        { word: "Pan", hint: "Sizzle", difficulty: "hard", decoy: "Pot" },
+        { word: "Microwave", hint: "Waves", difficulty: "easy", decoy: "Oven" },
+        { word: "Vacuum", hint: "Intake", difficulty: "medium", decoy: "Broom" },
+        { word: "Refrigerator", hint: "Insulated", difficulty: "easy", decoy: "Freezer" },
+        { word: "Washing Machine", hint: "Cycle", difficulty: "medium", decoy: "Dryer" },
+        { word: "Television", hint: "Signal", difficulty: "easy", decoy: "Radio" },
+        { word: "Coffee Maker", hint: "Grind", difficulty: "medium", decoy: "Espresso Machine" },
+        { word: "Toaster", hint: "Element", difficulty: "easy", decoy: "Grill" },
+        { word: "Blender", hint: "Vortex", difficulty: "medium", decoy: "Mixer" },
+        { word: "Iron", hint: "Steam", difficulty: "hard", decoy: "Steamer" },
+        { word: "Kettle", hint: "Resistance", difficulty: "hard", decoy: "Teapot" },
+        { word: "Mirror", hint: "Silver", difficulty: "medium", decoy: "Window" },
+        { word: "Lamp", hint: "Lumen", difficulty: "medium", decoy: "Candle" },
+        { word: "Curtain", hint: "Drape", difficulty: "hard", decoy: "Blinds" },
+        { word: "Pillow", hint: "Feathers", difficulty: "easy", decoy: "Cushion" },
+        { word: "Towel", hint: "Terry", difficulty: "medium", decoy: "Bathrobe" },
+        { word: "Soap", hint: "Lather", difficulty: "medium", decoy: "Shampoo" },
+        { word: "Toothbrush", hint: "Bristles", difficulty: "easy", decoy: "Hairbrush" },
+        { word: "Spoon", hint: "Scoop", difficulty: "easy", decoy: "Ladle" },
+        { word: "Fork", hint: "Prong", difficulty: "easy", decoy: "Chopsticks" },
+        { word: "Knife", hint: "Edge", difficulty: "medium", decoy: "Scissors" },
+        { word: "Plate", hint: "Ceramic", difficulty: "medium", decoy: "Tray" },
+        { word: "Bowl", hint: "Concave", difficulty: "hard", decoy: "Bucket" },
+        { word: "Cup", hint: "Vessel", difficulty: "medium", decoy: "Glass" },
+        { word: "Clock", hint: "Interval", difficulty: "hard", decoy: "Watch" },
+        { word: "Chair", hint: "Posture", difficulty: "easy", decoy: "Stool" },
+        { word: "Table", hint: "Platform", difficulty: "medium", decoy: "Desk" },
+        { word: "Bed", hint: "Springs", difficulty: "easy", decoy: "Sofa" },
+        { word: "Wardrobe", hint: "Hinges", difficulty: "hard", decoy: "Dresser" },
+        { word: "Hanger", hint: "Shoulder", difficulty: "hard", decoy: "Hook" }
     ],
     movies: [
-        { word: "Inception", hint: "Layer" },
-        { word: "Titanic", hint: "Bow" },
-        { word: "Matrix", hint: "Simulation" },
-        { word: "Jaws", hint: "Teeth" },
-        { word: "Star Wars", hint: "Empire" },
-        { word: "The Godfather", hint: "Offer" },
-        { word: "Interstellar", hint: "Relativity" },
-        { word: "Alien", hint: "Host" },
-        { word: "Home Alone", hint: "Flight" },
-        { word: "The Lion King", hint: "Birthright" }
+        { word: "Inception", hint: "Layer", difficulty: "medium", decoy: "Memento" },
+        { word: "Titanic", hint: "Bow", difficulty: "easy", decoy: "Poseidon" },
+        { word: "Matrix", hint: "Simulation", difficulty: "medium", decoy: "Tron" },
+        { word: "Jaws", hint: "Teeth", difficulty: "easy", decoy: "Piranha" },
+        { word: "Star Wars", hint: "Empire", difficulty: "easy", decoy: "Star Trek" },
+        { word: "The Godfather", hint: "Offer", difficulty: "hard", decoy: "Goodfellas" },
+        { word: "Interstellar", hint: "Relativity", difficulty: "hard", decoy: "Gravity" },
+        { word: "Alien", hint: "Host", difficulty: "medium", decoy: "Predator" },
+        { word: "Home Alone", hint: "Flight", difficulty: "easy", decoy: "Mrs. Doubtfire" },
+        { word: "The Lion King", hint: "Birthright", difficulty: "easy", decoy: "The Jungle Book" }
     ],
     celebrities: [
-        { word: "Beyoncé", hint: "Halo" },
-        { word: "Elon Musk", hint: "Mars" },
-        { word: "Tom Cruise", hint: "Running" },
-        { word: "Taylor Swift", hint: "Era" },
-        { word: "The Rock", hint: "Cooking" },
-        { word: "Zendaya", hint: "Fashion" },
-        { word: "Leonardo DiCaprio", hint: "Survival" },
-        { word: "Meryl Streep", hint: "Versatile" },
-        { word: "Cristiano Ronaldo", hint: "Siu" },
-        { word: "LeBron James", hint: "Chosen" }
+        { word: "Beyoncé", hint: "Halo", difficulty: "medium", decoy: "Rihanna" },
+        { word: "Elon Musk", hint: "Mars", difficulty: "easy", decoy: "Jeff Bezos" },
+        { word: "Tom Cruise", hint: "Running", difficulty: "medium", decoy: "Brad Pitt" },
+        { word: "Taylor Swift", hint: "Era", difficulty: "easy", decoy: "Katy Perry" },
+        { word: "The Rock", hint: "Cooking", difficulty: "medium", decoy: "John Cena" },
+        { word: "Zendaya", hint: "Fashion", difficulty: "hard", decoy: "Tom Holland" },
+        { word: "Leonardo DiCaprio", hint: "Survival", difficulty: "hard", decoy: "Johnny Depp" },
+        { word: "Meryl Streep", hint: "Versatile", difficulty: "hard", decoy: "Judi Dench" },
+        { word: "Cristiano Ronaldo", hint: "Siu", difficulty: "easy", decoy: "Lionel Messi" },
+        { word: "LeBron James", hint: "Chosen", difficulty: "medium", decoy: "Michael Jordan" }
     ],
     anime: [
-        { word: "Naruto", hint: "Believe" },
-        { word: "One Piece", hint: "Fruit" },
-        { word: "Death Note", hint: "Apple" },
-        { word: "Attack on Titan", hint: "Colossal" },
-        { word: "Dragon Ball Z", hint: "Saiyan" },
-        { word: "Demon Slayer", hint: "Mask" },
-        { word: "Fullmetal Alchemist", hint: "Metal" },
-        { word: "Sailor Moon", hint: "Tiara" },
-        { word: "Pokémon", hint: "Gotta" },
-        { word: "Spirited Away", hint: "River" }
+        { word: "Naruto", hint: "Believe", difficulty: "easy", decoy: "Bleach" },
+        { word: "One Piece", hint: "Fruit", difficulty: "medium", decoy: "Fairy Tail" },
+        { word: "Death Note", hint: "Apple", difficulty: "hard", decoy: "Code Geass" },
+        { word: "Attack on Titan", hint: "Colossal", difficulty: "medium", decoy: "Tokyo Ghoul" },
+        { word: "Dragon Ball Z", hint: "Saiyan", difficulty: "easy", decoy: "One Punch Man" },
+        { word: "Demon Slayer", hint: "Mask", difficulty: "medium", decoy: "Jujutsu Kaisen" },
+        { word: "Fullmetal Alchemist", hint: "Metal", difficulty: "hard", decoy: "Soul Eater" },
+        { word: "Sailor Moon", hint: "Tiara", difficulty: "hard", decoy: "Cardcaptor Sakura" },
+        { word: "Pokémon", hint: "Gotta", difficulty: "easy", decoy: "Digimon" },
+        { word: "Spirited Away", hint: "River", difficulty: "hard", decoy: "My Neighbor Totoro" }
     ],
     food: [
-        { word: "Sushi", hint: "Vinegared" },
-        { word: "Pizza", hint: "Corner" },
-        { word: "Bacon", hint: "Cured" },
-        { word: "Chocolate", hint: "Melting" },
-        { word: "Burger", hint: "Sesame" },
-        { word: "Taco", hint: "Fold" },
-        { word: "Ice Cream", hint: "Churned" },
-        { word: "Pasta", hint: "Durum" },
-        { word: "Donut", hint: "Ring" },
-        { word: "Honey", hint: "Golden" }
+        { word: "Sushi", hint: "Vinegared", difficulty: "medium", decoy: "Sashimi" },
+        { word: "Pizza", hint: "Corner", difficulty: "easy", decoy: "Flatbread" },
+        { word: "Bacon", hint: "Cured", difficulty: "medium", decoy: "Ham" },
+        { word: "Chocolate", hint: "Melting", difficulty: "easy", decoy: "Caramel" },
+        { word: "Burger", hint: "Sesame", difficulty: "easy", decoy: "Hot Dog" },
+        { word: "Taco", hint: "Fold", difficulty: "medium", decoy: "Burrito" },
+        { word: "Ice Cream", hint: "Churned", difficulty: "easy", decoy: "Frozen Yogurt" },
+        { word: "Pasta", hint: "Durum", difficulty: "medium", decoy: "Noodles" },
+        { word: "Donut", hint: "Ring", difficulty: "medium", decoy: "Bagel" },
+        { word: "Honey", hint: "Golden", difficulty: "hard", decoy: "Maple Syrup" }
     ]
 };
 
+/** Display names for the built-in categories. */
+export const categoryLabels = {
+    household:   'Household Items',
+    movies:      'Movies',
+    celebrities: 'Celebrities',
+    anime:       'Anime',
+    food:        'Food & Drink',
+};
+
+/** Difficulty tiers a word can be tagged with, easiest first. */
+export const difficultyLevels = ['easy', 'medium', 'hard'];
+
 export default wordDatabase;
@@ -0,0 +1,60 @@
+/**
+ * Host-migration escrow for VAGUE online games.
+ *
+ * The host seals its full game state (word, roles, votes) with a fresh
+ * AES-GCM key.  The sealed copy goes to the backup host and the key to a
+ * different player, so neither can read the secrets alone — only once the
+ * key holder reconnects to the backup after the host has left.
+ */
+
+const ALGORITHM = 'AES-GCM';
+const IV_BYTES  = 12;
+
+function toBase64(bytes) {
+    let bin = '';
+    bytes.forEach(b => { bin += String.fromCharCode(b); });
+    return btoa(bin);
+}
+
+function fromBase64(str) {
+    return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+}
+
+function importKey(keyB64, usage) {
+    return crypto.subtle.importKey('raw', fromBase64(keyB64), ALGORITHM, false, [usage]);
+}
+
+/**
+ * A new random 256-bit key, base64-encoded so it can travel as JSON.
+ * @returns {Promise<string>}
+ */
+export async function createEscrowKey() {
+    const key = await crypto.subtle.generateKey({ name: ALGORITHM, length: 256 }, true, ['encrypt', 'decrypt']);
+    return toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+}
+
+/**
+ * Encrypt any JSON-able value.
+ * @param {*} value
+ * @param {string} keyB64
+ * @returns {Promise<{ iv:string, data:string }>}
+ */
+export async function sealState(value, keyB64) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const plain = new TextEncoder().encode(JSON.stringify(value));
+    const data = await crypto.subtle.encrypt({ name: ALGORITHM, iv }, await importKey(keyB64, 'encrypt'), plain);
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt what sealState() produced.  Rejects if the key is wrong or the
+ * sealed copy was tampered with.
+ * @param {{ iv:string, data:string }} sealed
+ * @param {string} keyB64
+ * @returns {Promise<*>}
+ */
+export async function openState(sealed, keyB64) {
+    const plain = await crypto.subtle.decrypt(
+        { name: ALGORITHM, iv: fromBase64(sealed.iv) }, await importKey(keyB64, 'decrypt'), fromBase64(sealed.data));
+    return JSON.parse(new TextDecoder().decode(plain));
+}
@@ -0,0 +1,153 @@
+/**
+ * Verifiable fairness for VAGUE online games: commit first, reveal later.
+ *
+ * Before a match the host publishes a hash of a secret, and every player
+ * sends the host some randomness of its own.  The match's seed is a hash of
+ * all of them, so the host can't pick the word or the imposters.  At
+ * game_start the host also commits to the word and imposter seats it got;
+ * at RESULTS it reveals everything, and each player's device checks it.
+ */
+
+import { generateToken } from './utils.js';
+
+/** What a player's device concluded at RESULTS. */
+export const Verdict = Object.freeze({
+    VERIFIED:   'verified',
+    UNVERIFIED: 'unverified',   // nothing was changed, but the draw can't be shown to be fair
+    MISMATCH:   'mismatch',
+});
+
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';   // as generateSeed(); 32 divides 256, so no bias
+const SEED_LENGTH   = 8;
+
+async function sha256(text) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+async function sha256Hex(text) {
+    return Array.from(await sha256(text), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function secretPreimage(secret) {
+    return `vague-secret|${secret}`;
+}
+
+function outcomePreimage({ word, decoy, imposters, salt }) {
+    return JSON.stringify(['vague-outcome', word, decoy ?? null, [...imposters].sort((a, b) => a - b), salt]);
+}
+
+/**
+ * A fresh secret for the next match, and the commitment to publish for it.
+ * @returns {Promise<{ secret:string, commit:string }>}
+ */
+export async function createSeedSecret() {
+    const secret = generateToken();
+    return { secret, commit: await sha256Hex(secretPreimage(secret)) };
+}
+
+/** A player's contribution to the next match's seed. */
+export function createEntropy() {
+    return generateToken();
+}
+
+/**
+ * The match seed: a hash of the host's secret and every player's randomness.
+ * @param {string} secret
+ * @param {Object<string, string>} entropy  player name -> their randomness
+ * @returns {Promise<string>} a seed like generateSeed()'s, a little longer
+ */
+export async function deriveSeed(secret, entropy) {
+    const parts = Object.keys(entropy).sort().map(name => `${name}=${entropy[name]}`);
+    const bytes = await sha256(['vague-seed', secret, ...parts].join('|'));
+    return Array.from(bytes.slice(0, SEED_LENGTH), b => SEED_ALPHABET[b % SEED_ALPHABET.length]).join('');
+}
+
+/**
+ * Commit to a match's word and imposter seats.
+ * @param {string} word
+ * @param {string|null} decoy      the imposters' word in Undercover mode
+ * @param {number[]} imposters     seat indices
+ * @returns {Promise<{ salt:string, commit:string }>}
+ */
+export async function commitOutcome(word, decoy, imposters) {
+    const salt = generateToken();
+    return { salt, commit: await sha256Hex(outcomePreimage({ word, decoy, imposters, salt })) };
+}
+
+/**
+ * Check the host's reveal against what it committed to, and against the
+ * results it showed.  The host always takes the first seat; the randomness
+ * used must come from the other seats, in seat order.
+ * @param {{ seedCommit:string, outcomeCommit:string, entropy:Object<string, string>, hostSeed:boolean }} committed
+ *        from game_start
+ * @param {{ secret:string, salt:string, seed:string, word:string, decoy:string|null, imposters:number[] }} revealed
+ *        at RESULTS
+ * @param {{ players:string[], word:string|null, imposterNames:string[], seed:string }} shown  the match's outcome
+ * @param {{ name:string, entropy:string|null, firstCommit:string|null }} own  this player, the randomness it
+ *        sent and the first commitment it saw before the match (null if unknown)
+ * @returns {Promise<{ verdict:string, detail:string }>}
+ */
+export async function verifyReveal(committed, revealed, shown, own) {
+    const shownImposters = revealed.imposters.map(i => shown.players[i]).sort().join('|');
+    if (revealed.word !== shown.word || revealed.seed !== shown.seed
+        || shownImposters !== [...shown.imposterNames].sort().join('|')) {
+        return { verdict: Verdict.MISMATCH, detail: 'The host revealed a different word, seed or imposters from the results.' };
+    }
+    if (await sha256Hex(outcomePreimage(revealed)) !== committed.outcomeCommit) {
+        return { verdict: Verdict.MISMATCH, detail: 'The word or imposters changed after the match started.' };
+    }
+    if (await sha256Hex(secretPreimage(revealed.secret)) !== committed.seedCommit) {
+        return { verdict: Verdict.MISMATCH, detail: 'The host\'s secret isn\'t the one it committed to before the match.' };
+    }
+    if (committed.hostSeed) {
+        return { verdict: Verdict.UNVERIFIED, detail: 'The host typed in the seed, so it could have picked the word and imposters.' };
+    }
+    const entropyErr = checkEntropyList(committed.entropy, shown.players, own);
+    if (entropyErr) return entropyErr;
+    if (await deriveSeed(revealed.secret, committed.entropy) !== revealed.seed) {
+        return { verdict: Verdict.MISMATCH, detail: 'The seed wasn\'t made from everyone\'s randomness.' };
+    }
+    if (own.firstCommit && own.firstCommit !== committed.seedCommit) {
+        return {
+            verdict: Verdict.UNVERIFIED,
+            detail:  'The host changed its commitment before dealing, so it could have re-drawn until it liked the result.',
+        };
+    }
+    const missing = shown.players.slice(1).filter(n => !Object.hasOwn(committed.entropy, n));
+    if (missing.length) {
+        return {
+            verdict: Verdict.UNVERIFIED,
+            detail:  `Randomness from ${missing.join(', ')} wasn't used — it may have reached the host too late.`,
+        };
+    }
+    return {
+        verdict: Verdict.VERIFIED,
+        detail:  'The seed came from everyone\'s randomness, and the word and imposters didn\'t change during the match.',
+    };
+}
+
+/**
+ * Does the committed randomness name only the other seats, in seat order,
+ * with ours as we sent it?  A host that could add or reorder entries could
+ * keep trying values until the draw suited it.
+ * @returns {{ verdict:string, detail:string }|null} a mismatch, or null if the list is sound
+ */
+function checkEntropyList(entropy, players, own) {
+    const others = players.slice(1);
+    const names  = Object.keys(entropy);
+    if (names.some(n => !others.includes(n))) {
+        return { verdict: Verdict.MISMATCH, detail: 'The seed used randomness from someone who isn\'t a player.' };
+    }
+    // Built in seat order; going through an object gives the order JSON delivers it in, numeric names first
+    const expected = Object.keys(Object.fromEntries(others.filter(n => names.includes(n)).map(n => [n, true])));
+    if (names.join('\n') !== expected.join('\n')) {
+        return { verdict: Verdict.MISMATCH, detail: 'The randomness used isn\'t listed in seat order.' };
+    }
+    if (own.entropy && players[0] === own.name) {
+        return { verdict: Verdict.MISMATCH, detail: 'You were put in the host\'s seat, so your randomness was left out.' };
+    }
+    if (own.entropy && Object.hasOwn(entropy, own.name) && entropy[own.name] !== own.entropy) {
+        return { verdict: Verdict.MISMATCH, detail: 'The host swapped your randomness for something else.' };
+    }
+    return null;
+}
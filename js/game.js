@@ -4,8 +4,12 @@
  * and mutate it only through exported functions.
  */
 
-import wordDatabase from '../data/words.js';
-import { checksum } from './utils.js';
+import wordDatabase, { categoryLabels, difficultyLevels } from '../data/words.js';
+import {
+    checksum, wordsMatch, shuffleArray, createRng, randomInt, generateSeed, slugify,
+} from './utils.js';
+import { defaultProfile, normaliseProfile, MAX_NAME_LENGTH } from './profiles.js';
+import { keepValidWords, validatePackName } from './packs.js';
 
 /* ── Constants ─────────────────────────────────────────────── */
 
@@ -21,9 +25,40 @@ export const Phase = Object.freeze({
     REVEAL:  'REVEAL',
     CLUES:   'CLUES',
     DEBATE:  'DEBATE',
+    VOTE:    'VOTE',
+    GUESS:   'GUESS',   // caught imposter's last-chance guess at the word
     RESULTS: 'RESULTS',
 });
 
+/** How a tied vote is resolved. */
+export const TieRule = Object.freeze({
+    REVOTE:         'revote',          // one revote between the tied players, then no elimination
+    NO_ELIMINATION: 'no_elimination',  // nobody is eliminated on a tie
+});
+
+/** Which game is played. */
+export const Variant = Object.freeze({
+    CLASSIC:    'classic',      // imposters see "???" and a hint
+    UNDERCOVER: 'undercover',   // imposters get a decoy word and aren't told
+});
+
+/** Points awarded at the end of each match. */
+export const Points = Object.freeze({
+    CIVILIAN_CATCH:   1,   // every civilian, when an imposter is caught and misses the guess
+    IMPOSTER_SURVIVE: 2,   // every imposter who wasn't voted out, when the imposters win
+    IMPOSTER_GUESS:   3,   // the caught imposter who guessed the word
+    JESTER_OUT:       3,   // the Jester, for getting voted out
+});
+
+/** Category key meaning "every category, built-in and custom". */
+export const RANDOM_MIX = '*';
+
+/** Difficulty filter value that keeps every word. */
+export const ANY_DIFFICULTY = 'any';
+
+/** Difficulty assumed for custom-pack words that don't set one. */
+const DEFAULT_DIFFICULTY = 'medium';
+
 /* ── State ─────────────────────────────────────────────────── */
 
 const state = {
@@ -32,34 +67,71 @@ const state = {
 
     /* players */
     players: [],           // string[]
+    profiles: {},          // name -> { colour, emoji } — public, see getPlayerProfile()
+    absentSeats: [],       // online: seats given up mid-match — they don't hold up the vote or guess
 
     /* word / round */
-    category:          'household',
-    currentWord:       null,   // { word, hint }
-    imposterIndex:     -1,
+    categories:        ['household'],   // category keys, or [RANDOM_MIX]
+    difficulty:        ANY_DIFFICULTY,
+    variant:           Variant.CLASSIC,
+    currentWord:       null,   // { word, hint, difficulty, decoy?, category }
+    imposterIndices:   [],     // sorted seats on the imposter team (imposters + Mr. White)
+    roles:             [],     // RoleId per seat — secret, never synced
+    roleData:          {},     // seat -> private data a role rolled when dealt
+    specialRoles:      [],     // optional RoleIds to deal next game
+    imposterCount:     1,      // requested; capped by getMaxImposters()
+    showImposterPartners: false,
     currentPlayerIndex: 0,
     isRoleRevealed:    false,
     currentPhase:      Phase.MENU,
     round:             1,
-    usedWords:         [],     // track used words to avoid repeats
+    usedWords:         [],     // wordKey()s already played, to avoid repeats
+    startedAt:         0,      // Date.now() when the match started (host / local)
+
+    /* randomness — every random game decision goes through _rng */
+    seed:              '',     // seed of the current game (secret until RESULTS)
+    requestedSeed:     '',     // seed to start the next game from, '' = random
+    rngDraws:          0,      // numbers drawn from _rng so far — lets a saved game resume the sequence
+    _rng:              Math.random,
+    fairness:          null,   // online host: the match's commit–reveal record (see js/fairness.js)
 
     /* clue / discussion */
     cluePlayerIndex:     0,
     startingPlayerIndex: -1,
+    clues:               [],   // one array per round: [{ player, text }]
+    debateRequests:      [],   // online: seats asking to skip the rest of this round's clues
 
-    /* timer (stopwatch, counts up) */
+    /* timer — counts up; with a limit it is shown as a countdown */
     timerSeconds: 0,
     timerRunning: false,
+    timerLimit:   0,       // seconds for the current turn / debate, 0 = plain stopwatch
+    clueSeconds:   0,      // countdown per clue turn, 0 = off
+    debateSeconds: 0,      // countdown for the debate, 0 = off
+
+    /* voting */
+    tieRule:        TieRule.REVOTE,
+    votes:          {},    // voterIndex -> targetIndex (host / local only — secret)
+    votedIndices:   [],    // voter indices that have voted (public)
+    voteCandidates: [],    // player indices that can be voted for
+    voterIndex:     0,     // local pass-and-play: whose turn to vote
+    isRevote:       false,
+    lastTally:      [],    // [{ index, name, votes }] from the most recent count
+    eliminatedIndex: -1,
+    imposterGuess:  null,  // { text, correct } once the caught imposter has guessed
+    outcome:        null,  // set by endGame() — see computeOutcome()
+
+    /* scoring — survives fullReset(), cleared when the roster changes */
+    scores:       {},      // name -> points
+    scoreRoster:  [],      // sorted names the scores belong to
+    matchesPlayed: 0,
 
     /* online multiplayer */
     localPlayerName: '',
     isHost:          false,
-    onlinePeers:     [],   // { id, name, ready }
+    onlinePeers:     [],   // { id, name, ready, spectator, away }
 
     /* per-peer role info (set by host for each peer individually) */
-    _localIsImposter: false,
-    _localWord:       null,
-    _localHint:       null,
+    _localRole:       null,    // this device's role — see getRoleFor()
     _hostReady:       false,   // host's own "ready" flag in online mode
 };
 
@@ -68,67 +140,268 @@ const state = {
 /** Return the live state object (read-only by convention). */
 export function getState() { return state; }
 
-/** Return available categories from word database. */
-export function getCategories() { return Object.keys(wordDatabase); }
+/** Return available categories: built-in first, then custom packs. */
+export function getCategories() {
+    return [...Object.keys(wordDatabase), ...Object.keys(customPacks)];
+}
 
 /* ── Reset helpers ─────────────────────────────────────────── */
 
 /** Reset round-level state (keeps players, mode, settings). */
 export function resetRoundState() {
     state.currentWord       = null;
-    state.imposterIndex     = -1;
+    state.imposterIndices   = [];
+    state.roles             = [];
+    state.roleData          = {};
     state.currentPlayerIndex = 0;
     state.isRoleRevealed    = false;
     state.currentPhase      = Phase.MENU;
+    state.absentSeats       = [];
     state.cluePlayerIndex   = 0;
     state.startingPlayerIndex = -1;
+    state.clues             = [];
+    state.debateRequests    = [];
     state.round             = 1;
     state.usedWords         = [];
     state.timerSeconds      = 0;
     state.timerRunning      = false;
+    state.timerLimit        = 0;
+    resetVoteState();
+    state.lastTally         = [];
+    state.eliminatedIndex   = -1;
+    state.imposterGuess     = null;
+    state.outcome           = null;
+    state.fairness          = null;
+}
+
+function resetVoteState() {
+    state.votes          = {};
+    state.votedIndices   = [];
+    state.voteCandidates = [];
+    state.voterIndex     = 0;
+    state.isRevote       = false;
 }
 
 /** Full reset including players and mode. */
 export function fullReset() {
     resetRoundState();
-    state.players         = [];
+    state.players         = [];   // scores stay until a different roster starts a game
+    state.profiles        = {};
     state.mode            = GameMode.LOCAL;
     state.localPlayerName = '';
     state.isHost          = false;
     state.onlinePeers     = [];
-    state._localIsImposter = false;
-    state._localWord       = null;
-    state._localHint       = null;
+    state._localRole       = null;
     state._hostReady       = false;
 }
 
 /* ── Player management ─────────────────────────────────────── */
 
 /**
- * Add a player by name.
+ * Add a player by name, optionally with their colour and emoji.
+ * @param {string} name
+ * @param {{ colour?:string, emoji?:string }} [look]
  * @returns {string|null} error message, or null on success
  */
-export function addPlayer(name) {
+export function addPlayer(name, look) {
     const n = name.trim();
     if (!n) return 'Name cannot be empty.';
+    if (n.length > MAX_NAME_LENGTH) return `Names can be at most ${MAX_NAME_LENGTH} characters.`;
     if (state.players.some(p => p.toLowerCase() === n.toLowerCase())) {
         return 'That name is already taken.';
     }
     state.players.push(n);
+    if (look) setPlayerProfile(n, look);
     return null;
 }
 
 /** Remove player at index. */
 export function removePlayer(idx) {
     if (idx >= 0 && idx < state.players.length) {
+        delete state.profiles[state.players[idx]];
         state.players.splice(idx, 1);
     }
 }
 
-/* ── Category ──────────────────────────────────────────────── */
+/** Set a player's colour and emoji; anything invalid falls back to the defaults. */
+export function setPlayerProfile(name, look) {
+    const p = normaliseProfile({ ...look, name });
+    if (p) state.profiles[p.name] = { colour: p.colour, emoji: p.emoji };
+}
+
+/**
+ * A player's full profile, with the generated look if they never set one.
+ * @param {string} name
+ * @returns {{ name:string, colour:string, emoji:string }}
+ */
+export function getPlayerProfile(name) {
+    return { ...defaultProfile(name), ...state.profiles[name] };
+}
+
+/* ── Categories & difficulty ───────────────────────────────── */
+
+/**
+ * Choose the categories words are drawn from.  Unknown keys are dropped;
+ * RANDOM_MIX anywhere in the list means every category.
+ * @param {string[]} keys
+ * @returns {string|null} error or null
+ */
+export function setCategories(keys) {
+    if (keys.includes(RANDOM_MIX)) {
+        state.categories = [RANDOM_MIX];
+        return null;
+    }
+    const known = keys.filter(k => getPool(k));
+    if (!known.length) return 'Pick at least one category.';
+    state.categories = known;
+    return null;
+}
+
+/** Category keys the next word is drawn from, with RANDOM_MIX expanded. */
+export function getSelectedCategories() {
+    return state.categories.includes(RANDOM_MIX)
+        ? getCategories()
+        : state.categories.filter(k => getPool(k));
+}
+
+/** @param {string} level  one of difficultyLevels, or ANY_DIFFICULTY */
+export function setDifficulty(level) {
+    state.difficulty = difficultyLevels.includes(level) ? level : ANY_DIFFICULTY;
+}
+
+/**
+ * Every word in the selected categories that passes the difficulty filter
+ * (and, for Undercover, has a decoy).
+ */
+function getWordPool() {
+    return getSelectedCategories()
+        .flatMap(category => getPool(category)
+            .map(w => ({ ...w, difficulty: w.difficulty ?? DEFAULT_DIFFICULTY, category })))
+        .filter(w => state.difficulty === ANY_DIFFICULTY || w.difficulty === state.difficulty)
+        .filter(w => state.variant !== Variant.UNDERCOVER || w.decoy);
+}
+
+/** Repeat-avoidance key — the same word may appear in two categories. */
+function wordKey(w) {
+    return `${w.category}/${w.word}`;
+}
+
+/* ── Custom word packs ─────────────────────────────────────── */
+
+/** Custom pack keys never collide with built-in category keys. */
+export const CUSTOM_PACK_PREFIX = 'custom:';
+
+const customPacks = {};   // key -> { name, words: [{ word, hint }] }
+
+/** Word list for a built-in category or custom pack. */
+function getPool(key) {
+    return wordDatabase[key] ?? customPacks[key]?.words;
+}
+
+export function isBuiltInCategory(key) { return key in wordDatabase; }
+
+export function getCategoryLabel(key) {
+    return categoryLabels[key] ?? customPacks[key]?.name ?? key;
+}
+
+/** Copy of a category's words (for export). */
+export function getCategoryWords(key) {
+    return (getPool(key) ?? []).map(w => ({ ...w }));
+}
+
+/** Category key for a custom pack name. */
+function customPackKey(name) {
+    return CUSTOM_PACK_PREFIX + (slugify(name) || 'pack');
+}
+
+/**
+ * Add a validated custom pack, replacing any custom pack with the same name.
+ * @returns {string} the pack's category key
+ */
+export function addCustomPack(name, words) {
+    const key = customPackKey(name);
+    customPacks[key] = { name, words: words.map(w => ({ ...w })) };
+    return key;
+}
+
+/**
+ * Save an edited custom pack.  Renaming moves it to a new key.
+ * @param {string|null} oldKey  null for a new pack
+ * @returns {{ key:string|null, error:string|null }}
+ */
+export function saveCustomPack(oldKey, name, words) {
+    const key = customPackKey(name);
+    if (key !== oldKey && customPacks[key]) {
+        return { key: null, error: 'A pack with that name already exists.' };
+    }
+    if (oldKey && oldKey !== key) delete customPacks[oldKey];
+    return { key: addCustomPack(name, words), error: null };
+}
+
+export function removeCustomPack(key) {
+    delete customPacks[key];
+    state.categories = state.categories.filter(k => k !== key);
+    if (!state.categories.length) state.categories = [Object.keys(wordDatabase)[0]];
+}
+
+/** Every custom pack, keyed by category key (for persisting). */
+export function getCustomPacks() {
+    return structuredClone(customPacks);
+}
+
+/** Restore persisted custom packs on start-up, skipping entries that no longer validate. */
+export function loadCustomPacks(packs) {
+    Object.entries(packs ?? {}).forEach(([key, p]) => {
+        if (!key.startsWith(CUSTOM_PACK_PREFIX) || typeof p?.name !== 'string' || validatePackName(p.name)) return;
+        const words = keepValidWords(p.words);
+        if (words.length) customPacks[key] = { name: p.name, words };
+    });
+}
+
+/* ── Rules ─────────────────────────────────────────────────── */
+
+export function setVariant(v) {
+    if (Object.values(Variant).includes(v)) state.variant = v;
+}
+
+export function setTieRule(rule) {
+    if (Object.values(TieRule).includes(rule)) state.tieRule = rule;
+}
+
+/**
+ * Most imposters allowed for a player count — civilians always outnumber
+ * imposters at least two to one.
+ */
+export function getMaxImposters(playerCount) {
+    return Math.max(1, Math.floor((playerCount - 1) / 3));
+}
+
+export function setImposterCount(n) {
+    const v = parseInt(n, 10);
+    if (v >= 1) state.imposterCount = v;
+}
+
+export function setShowImposterPartners(v) { state.showImposterPartners = !!v; }
+
+/** Countdown lengths in seconds; 0 turns the countdown off. */
+export function setTurnTimers(clueSeconds, debateSeconds) {
+    state.clueSeconds   = Math.max(0, parseInt(clueSeconds, 10) || 0);
+    state.debateSeconds = Math.max(0, parseInt(debateSeconds, 10) || 0);
+}
+
+/** Start the next game from a given seed ('' picks a fresh random one). */
+export function setRequestedSeed(seed) {
+    state.requestedSeed = String(seed ?? '').trim().toUpperCase();
+}
 
-export function setCategory(cat) {
-    if (wordDatabase[cat]) state.category = cat;
+/**
+ * Keep the host's commit–reveal record with the match, so a backup host
+ * that takes over can still reveal it at RESULTS.
+ * @param {{ secret:string, seedCommit:string, entropy:Object<string, string>, hostSeed:boolean,
+ *           salt:string, outcomeCommit:string }|null} record
+ */
+export function setFairness(record) {
+    state.fairness = record;
 }
 
 /* ── Mode ──────────────────────────────────────────────────── */
@@ -139,13 +412,46 @@ export function setIsHost(v) { state.isHost = !!v; }
 
 /* ── Online peer tracking ──────────────────────────────────── */
 
-export function addOnlinePeer(id, name) {
+/**
+ * @param {string} id
+ * @param {string} name
+ * @param {{ colour?:string, emoji?:string }|null} [look]
+ * @param {boolean} [spectator=false]  watches instead of playing until promoted
+ */
+export function addOnlinePeer(id, name, look, spectator = false) {
     if (!state.onlinePeers.find(p => p.id === id)) {
-        state.onlinePeers.push({ id, name, ready: false });
+        state.onlinePeers.push({ id, name, ready: false, spectator: !!spectator, away: false });
+        if (look) setPlayerProfile(name, look);
     }
 }
 
+/** Mark a peer whose connection dropped as away (their seat is kept) or back. */
+export function setOnlinePeerAway(id, away) {
+    const p = state.onlinePeers.find(x => x.id === id);
+    if (p) p.away = !!away;
+}
+
+/**
+ * Move a peer that reconnected onto its new connection ID.
+ * @returns {object|null} the peer, or null if it was already dropped
+ */
+export function reattachOnlinePeer(oldId, newId) {
+    const p = state.onlinePeers.find(x => x.id === oldId);
+    if (!p) return null;
+    p.id   = newId;
+    p.away = false;
+    return p;
+}
+
+/** Make a spectator a player — they get a seat from the next match on. */
+export function promoteSpectator(id) {
+    const p = state.onlinePeers.find(x => x.id === id);
+    if (p) p.spectator = false;
+}
+
 export function removeOnlinePeer(id) {
+    const peer = state.onlinePeers.find(p => p.id === id);
+    if (peer) delete state.profiles[peer.name];
     state.onlinePeers = state.onlinePeers.filter(p => p.id !== id);
 }
 
@@ -158,14 +464,172 @@ export function resetOnlinePeerReady() {
     state.onlinePeers.forEach(p => { p.ready = false; });
 }
 
+/** Index of this device's player in `players` (online modes). */
+export function getLocalPlayerIndex() {
+    return state.players.indexOf(state.localPlayerName);
+}
+
 export function getOnlinePlayerNames() {
     // Host name first, then peers in join order
     const names = [];
     if (state.localPlayerName) names.push(state.localPlayerName);
-    state.onlinePeers.forEach(p => names.push(p.name));
+    state.onlinePeers.filter(p => !p.spectator).forEach(p => names.push(p.name));
     return names;
 }
 
+/** Connected peers who are watching, in join order (host side). */
+export function getSpectators() {
+    return state.onlinePeers.filter(p => p.spectator);
+}
+
+/** Is a match being played right now (reveal through the last-chance guess)? */
+export function isMatchInProgress() {
+    return ![Phase.MENU, Phase.SETUP, Phase.RESULTS].includes(state.currentPhase);
+}
+
+/** Is this device only watching the current match (online, without a seat)? */
+export function isSpectating() {
+    return state.mode === GameMode.ONLINE_PEER && getLocalPlayerIndex() === -1;
+}
+
+/* ── Roles ─────────────────────────────────────────────────── */
+
+export const RoleId = Object.freeze({
+    CIVILIAN:  'civilian',
+    IMPOSTER:  'imposter',
+    MR_WHITE:  'mr_white',
+    JESTER:    'jester',
+    DETECTIVE: 'detective',
+});
+
+/** A civilian's view of the word — also the Undercover imposter's, with the decoy. */
+function wordView(word) {
+    return state.variant === Variant.UNDERCOVER
+        ? { title: 'YOUR SECRET WORD', word, note: 'Someone may have a different word…' }
+        : { title: 'YOU ARE A CIVILIAN', word };
+}
+
+/**
+ * Role definitions.  Adding a role is one entry here; setup lists every
+ * `optional` role, and each one dealt replaces a civilian.
+ *
+ *   team    'civilians' | 'imposters' | 'solo' — the vote hunts 'imposters',
+ *           and a caught imposter-team player gets the last-chance guess
+ *   assign  (idx) => private data rolled when the role is dealt
+ *   view    (idx, data) => what the holder sees at reveal:
+ *           { title, word?, hint?, note?, knowsSide? }
+ *   wins    (result, idx) => did this player win?  `result` is
+ *           { winner, eliminatedIndex }; a 'solo' role that wins takes the match
+ *   points  (result, idx) => points for a win
+ */
+const ROLES = {
+    [RoleId.CIVILIAN]: {
+        label:  'Civilian',
+        team:   'civilians',
+        view:   () => wordView(state.currentWord.word),
+        wins:   (r) => r.winner === 'civilians',
+        points: () => Points.CIVILIAN_CATCH,
+    },
+    [RoleId.IMPOSTER]: {
+        label:  'Imposter',
+        team:   'imposters',
+        view:   () => (state.variant === Variant.UNDERCOVER
+            ? wordView(state.currentWord.decoy)
+            : {
+                title: state.imposterIndices.length > 1 ? 'YOU ARE AN IMPOSTER' : 'YOU ARE THE IMPOSTER',
+                hint:  state.currentWord.hint,
+                knowsSide: true,
+            }),
+        wins:   (r) => r.winner === 'imposter',
+        points: (r, idx) => (idx === r.eliminatedIndex ? Points.IMPOSTER_GUESS : Points.IMPOSTER_SURVIVE),
+    },
+    [RoleId.MR_WHITE]: {
+        label:    'Mr. White',
+        team:     'imposters',
+        optional: true,
+        view:     () => ({
+            title: 'YOU ARE MR. WHITE',
+            note:  'No word, no hint. Blend in — if you are voted out, guess the word.',
+            knowsSide: true,
+        }),
+        wins:     (r) => r.winner === 'imposter',
+        points:   (r, idx) => (idx === r.eliminatedIndex ? Points.IMPOSTER_GUESS : Points.IMPOSTER_SURVIVE),
+    },
+    [RoleId.JESTER]: {
+        label:    'Jester',
+        team:     'solo',
+        optional: true,
+        view:     () => ({
+            title: 'YOU ARE THE JESTER',
+            word:  state.currentWord.word,
+            note:  'You win if you get voted out.',
+        }),
+        wins:     (r, idx) => r.eliminatedIndex === idx,
+        points:   () => Points.JESTER_OUT,
+    },
+    [RoleId.DETECTIVE]: {
+        label:    'Detective',
+        team:     'civilians',
+        optional: true,
+        assign:   () => {
+            const civilians = state.roles
+                .map((id, i) => (id === RoleId.CIVILIAN ? i : -1))
+                .filter(i => i >= 0);
+            return { innocent: civilians.length ? civilians[randomInt(state._rng, civilians.length)] : -1 };
+        },
+        view:     (idx, data) => ({
+            title: 'YOU ARE THE DETECTIVE',
+            word:  state.currentWord.word,
+            note:  data.innocent >= 0 ? `${state.players[data.innocent]} is a civilian.` : null,
+        }),
+        wins:     (r) => r.winner === 'civilians',
+        points:   () => Points.CIVILIAN_CATCH,
+    },
+};
+
+/** Roles that can be switched on per game, in setup order. */
+export function getOptionalRoles() {
+    return Object.entries(ROLES)
+        .filter(([, def]) => def.optional)
+        .map(([id, def]) => ({ id, label: def.label }));
+}
+
+/** @param {string[]} ids  optional roles to deal next game (one of each) */
+export function setSpecialRoles(ids) {
+    state.specialRoles = getOptionalRoles().map(r => r.id).filter(id => ids.includes(id));
+}
+
+/** Role id a player holds this round. */
+export function getPlayerRole(playerIdx) {
+    return state.roles[playerIdx] ?? RoleId.CIVILIAN;
+}
+
+/**
+ * Deal roles: `order` is a shuffled list of seats.  Imposter-team specials
+ * (Mr. White) take imposter seats; the other specials replace civilians.
+ * @param {number[]} order
+ * @param {number} imposterSeats  size of the imposter team
+ */
+function dealRoles(order, imposterSeats) {
+    state.roles    = state.players.map(() => RoleId.CIVILIAN);
+    state.roleData = {};
+    const teamSpecials = state.specialRoles
+        .filter(id => ROLES[id].team === 'imposters')
+        .slice(0, imposterSeats);
+    const dealt = [
+        ...teamSpecials,
+        ...Array(imposterSeats - teamSpecials.length).fill(RoleId.IMPOSTER),
+        ...state.specialRoles.filter(id => ROLES[id].team !== 'imposters'),
+    ].slice(0, state.players.length - 1);   // always leave one civilian
+    dealt.forEach((id, k) => { state.roles[order[k]] = id; });
+    dealt.forEach((id, k) => {
+        if (ROLES[id].assign) state.roleData[order[k]] = ROLES[id].assign(order[k]);
+    });
+    state.imposterIndices = state.roles
+        .map((id, i) => (ROLES[id].team === 'imposters' ? i : -1))
+        .filter(i => i >= 0);
+}
+
 /* ── Game flow ─────────────────────────────────────────────── */
 
 /**
@@ -175,50 +639,113 @@ export function getOnlinePlayerNames() {
 export function startGame() {
     const min = 3;
     if (state.players.length < min) return `Need at least ${min} players!`;
+    const max = getMaxImposters(state.players.length);
+    if (state.imposterCount > max) {
+        return `${state.players.length} players allow at most ${max} imposter${max === 1 ? '' : 's'}.`;
+    }
+    const others = state.specialRoles.filter(id => ROLES[id].team !== 'imposters').length;
+    if (state.imposterCount + others >= state.players.length) {
+        return 'Too many special roles — at least one player must be a plain civilian.';
+    }
     state.round    = 1;
     state.usedWords = [];
+    state.seed     = state.requestedSeed || generateSeed();
+    state._rng     = seededRng(state.seed, 0);
+    state.startedAt = Date.now();
+    syncScoreRoster();
     return startRound();
 }
 
+/** The game's PRNG, fast-forwarded past `skip` draws and counting new ones. */
+function seededRng(seed, skip) {
+    const next = createRng(seed);
+    for (let i = 0; i < skip; i++) next();
+    state.rngDraws = skip;
+    return () => {
+        state.rngDraws++;
+        return next();
+    };
+}
+
 /**
  * Start a new round — picks word, assigns imposter.
  * @returns {string|null} error or null
  */
 export function startRound() {
-    const pool = wordDatabase[state.category];
-    if (!pool || pool.length === 0) return 'No words for this category!';
+    const pool = getWordPool();
+    if (pool.length === 0) {
+        const level = state.difficulty === ANY_DIFFICULTY ? '' : `${state.difficulty} `;
+        return state.variant === Variant.UNDERCOVER
+            ? `No ${level}words with decoys in the chosen categories!`
+            : `No ${level}words in the chosen categories!`;
+    }
 
-    // Avoid repeats until exhausted
-    let available = pool.filter(w => !state.usedWords.includes(w.word));
+    // Avoid repeats until the whole combined pool is exhausted
+    let available = pool.filter(w => !state.usedWords.includes(wordKey(w)));
     if (available.length === 0) {
         state.usedWords = [];
         available = pool;
     }
 
-    state.currentWord  = available[Math.floor(Math.random() * available.length)];
-    state.usedWords.push(state.currentWord.word);
-    state.imposterIndex = Math.floor(Math.random() * state.players.length);
+    state.currentWord  = available[randomInt(state._rng, available.length)];
+    state.usedWords.push(wordKey(state.currentWord));
+    dealRoles(
+        shuffleArray(state.players.map((_, i) => i), state._rng),
+        Math.min(state.imposterCount, getMaxImposters(state.players.length)),
+    );
 
     state.currentPlayerIndex = 0;
     state.isRoleRevealed     = false;
     state.currentPhase       = Phase.REVEAL;
+    state.clues              = [];
+    state.eliminatedIndex    = -1;
+    state.imposterGuess      = null;
+    state.outcome            = null;
     return null;
 }
 
+export function isImposter(playerIdx) {
+    return state.imposterIndices.includes(playerIdx);
+}
+
+/**
+ * What one player is allowed to see at reveal — built from their role's
+ * `view`, so it never carries anyone else's role.  Used for the local
+ * reveal and for each peer's private `game_start` role.
+ *
+ * `isImposter` is only true when the player is told they play for the
+ * imposters; in Undercover an imposter sees the same screen as a civilian.
+ * @returns {{ title:string, isImposter:boolean, word:string|null, hint:string|null,
+ *             note:string|null, partners:string[] }}
+ */
+export function getRoleFor(playerIdx) {
+    const id   = getPlayerRole(playerIdx);
+    const view = ROLES[id].view(playerIdx, state.roleData[playerIdx]);
+    const partners = id === RoleId.IMPOSTER && view.knowsSide && state.showImposterPartners
+        ? state.imposterIndices.filter(i => i !== playerIdx).map(i => state.players[i])
+        : [];
+    return {
+        title:      view.title,
+        isImposter: !!view.knowsSide,
+        word:       view.word ?? null,
+        hint:       view.hint ?? null,
+        note:       view.note ?? null,
+        partners,
+    };
+}
+
 /**
  * Reveal the current player's role (local pass-and-play).
- * @returns {{ isImposter:boolean, word?:string, hint?:string }|null}
+ * @returns {{ title:string, isImposter:boolean, playerName:string, word:string|null,
+ *             hint:string|null, note:string|null, partners:string[] }|null}
  */
 export function revealCurrentRole() {
     if (state.isRoleRevealed) return null;
     state.isRoleRevealed = true;
 
-    const imp = state.currentPlayerIndex === state.imposterIndex;
     return {
-        isImposter:  imp,
-        playerName:  state.players[state.currentPlayerIndex],
-        word:        imp ? null : state.currentWord.word,
-        hint:        imp ? state.currentWord.hint : null,
+        ...getRoleFor(state.currentPlayerIndex),
+        playerName: state.players[state.currentPlayerIndex],
     };
 }
 
@@ -234,17 +761,48 @@ export function nextRevealPlayer() {
 
 /* ── Clue / Debate ─────────────────────────────────────────── */
 
+export const MAX_CLUE_LENGTH = 40;
+
 export function startCluePhase() {
     state.currentPhase       = Phase.CLUES;
-    state.startingPlayerIndex = Math.floor(Math.random() * state.players.length);
+    state.startingPlayerIndex = randomInt(state._rng, state.players.length);
     state.cluePlayerIndex    = 0;
-    state.timerSeconds       = 0;
-    state.timerRunning       = false;
+    state.clues              = [[]];
+    state.debateRequests     = [];
+    armTimer(state.clueSeconds);
+}
+
+export function getCurrentCluePlayerIndex() {
+    return (state.startingPlayerIndex + state.cluePlayerIndex) % state.players.length;
 }
 
 export function getCurrentCluePlayer() {
-    const idx = (state.startingPlayerIndex + state.cluePlayerIndex) % state.players.length;
-    return state.players[idx];
+    return state.players[getCurrentCluePlayerIndex()];
+}
+
+/**
+ * Record the clue the current clue player just gave.
+ * @returns {string|null} error message, or null on success
+ */
+export function submitClue(playerIdx, text) {
+    if (state.currentPhase !== Phase.CLUES) return 'It is not the clue phase.';
+    if (playerIdx !== getCurrentCluePlayerIndex()) return 'It is not your turn to give a clue.';
+    const clue = String(text ?? '').trim().replace(/\s+/g, ' ');
+    if (!clue) return 'Clue cannot be empty.';
+    if (clue.length > MAX_CLUE_LENGTH) return `Keep clues under ${MAX_CLUE_LENGTH} characters.`;
+
+    const roundClues = state.clues[state.round - 1];
+    if (roundClues.some(c => c.player === state.players[playerIdx])) return 'Clue already recorded.';
+    roundClues.push({ player: state.players[playerIdx], text: clue });
+    return null;
+}
+
+/**
+ * Clues grouped by round for the clue board.
+ * @returns {{ round:number, clues:{player:string,text:string}[] }[]}
+ */
+export function getClueBoard() {
+    return state.clues.map((clues, i) => ({ round: i + 1, clues }));
 }
 
 /**
@@ -253,15 +811,29 @@ export function getCurrentCluePlayer() {
  */
 export function nextClueTurn() {
     state.cluePlayerIndex++;
-    state.timerSeconds = 0;
-    state.timerRunning = false;
+    armTimer(state.clueSeconds);
     return state.cluePlayerIndex < state.players.length;
 }
 
 export function startDebatePhase() {
-    state.currentPhase = Phase.DEBATE;
-    state.timerSeconds = 0;
-    state.timerRunning = false;
+    state.currentPhase   = Phase.DEBATE;
+    state.debateRequests = [];
+    armTimer(state.debateSeconds);
+}
+
+/**
+ * A player asks to skip the rest of the clues.  Once more than half the
+ * players have asked, the debate should start.
+ * @returns {boolean} true if the debate should start now
+ */
+export function requestDebate(playerIdx) {
+    if (!state.debateRequests.includes(playerIdx)) state.debateRequests.push(playerIdx);
+    return state.debateRequests.length >= getDebateRequestsNeeded();
+}
+
+/** How many players must ask before the debate starts early. */
+export function getDebateRequestsNeeded() {
+    return Math.floor(state.players.length / 2) + 1;
 }
 
 /**
@@ -269,16 +841,280 @@ export function startDebatePhase() {
  */
 export function nextRoundSameWord() {
     state.round++;
-    state.startingPlayerIndex = Math.floor(Math.random() * state.players.length);
+    state.clues.push([]);
+    state.startingPlayerIndex = randomInt(state._rng, state.players.length);
     state.cluePlayerIndex    = 0;
     state.currentPhase       = Phase.CLUES;
-    state.timerSeconds       = 0;
-    state.timerRunning       = false;
+    state.debateRequests     = [];
+    armTimer(state.clueSeconds);
+}
+
+/* ── Voting ────────────────────────────────────────────────── */
+
+/** Open the vote — every player is a candidate. */
+export function startVotePhase() {
+    resetVoteState();
+    state.currentPhase    = Phase.VOTE;
+    state.voteCandidates  = state.players.map((_, i) => i);
+    state.eliminatedIndex = -1;
+    armTimer(0);
+}
+
+/**
+ * Candidates a given player may vote for (never themselves).
+ * @returns {{ index:number, name:string }[]}
+ */
+export function getVoteOptions(voterIdx) {
+    return state.voteCandidates
+        .filter(i => i !== voterIdx)
+        .map(i => ({ index: i, name: state.players[i] }));
+}
+
+/**
+ * Record one player's vote.
+ * @returns {string|null} error message, or null on success
+ */
+export function castVote(voterIdx, targetIdx) {
+    if (state.currentPhase !== Phase.VOTE) return 'Voting is not open.';
+    if (voterIdx < 0 || voterIdx >= state.players.length) return 'Unknown voter.';
+    if (state.votes[voterIdx] !== undefined) return 'You have already voted.';
+    if (voterIdx === targetIdx) return 'You cannot vote for yourself.';
+    if (!state.voteCandidates.includes(targetIdx)) return 'That player is not a candidate.';
+
+    state.votes[voterIdx] = targetIdx;
+    state.votedIndices.push(voterIdx);
+    return null;
+}
+
+/**
+ * Local pass-and-play: move to the next player who hasn't voted.
+ * @returns {boolean} true if someone still has to vote
+ */
+export function nextVoter() {
+    while (state.voterIndex < state.players.length && state.votes[state.voterIndex] !== undefined) {
+        state.voterIndex++;
+    }
+    return state.voterIndex < state.players.length;
+}
+
+export function allVotesIn() {
+    return state.players.every((_, i) => state.votedIndices.includes(i) || state.absentSeats.includes(i));
+}
+
+/** How many votes this vote waits for: every seat, less those given up without voting. */
+export function getVoterCount() {
+    return state.players.length - state.absentSeats.filter(i => !state.votedIndices.includes(i)).length;
+}
+
+/**
+ * Online host: a seat's player is gone for good.  The vote stops waiting
+ * for them, and if they were caught, nobody is left to guess.
+ */
+export function markSeatAbsent(idx) {
+    if (idx >= 0 && idx < state.players.length && !state.absentSeats.includes(idx)) state.absentSeats.push(idx);
+}
+
+export function isSeatAbsent(idx) {
+    return state.absentSeats.includes(idx);
+}
+
+/**
+ * Count the votes.  A single leader is eliminated; a tie either opens a
+ * revote between the tied players (once) or eliminates nobody.
+ * @returns {{ revote:boolean, tied:string[] }}
+ */
+export function tallyVotes() {
+    const counts = new Map(state.voteCandidates.map(i => [i, 0]));
+    Object.values(state.votes).forEach(t => counts.set(t, (counts.get(t) ?? 0) + 1));
+
+    const max = Math.max(...counts.values());
+    const leaders = [...counts.keys()].filter(i => counts.get(i) === max);
+    state.lastTally = [...counts.entries()]
+        .map(([index, votes]) => ({ index, name: state.players[index], votes }))
+        .sort((a, b) => b.votes - a.votes);
+
+    if (leaders.length === 1) {
+        state.eliminatedIndex = leaders[0];
+        return { revote: false, tied: [] };
+    }
+
+    const tied = leaders.map(i => state.players[i]);
+    if (state.tieRule === TieRule.REVOTE && !state.isRevote) {
+        resetVoteState();
+        state.isRevote       = true;
+        state.voteCandidates = leaders;
+        return { revote: true, tied };
+    }
+
+    state.eliminatedIndex = -1;
+    return { revote: false, tied };
+}
+
+/* ── Imposter's last chance ────────────────────────────────── */
+
+/** Was the player voted out the imposter? */
+export function imposterWasCaught() {
+    return isImposter(state.eliminatedIndex);
+}
+
+/** The caught imposter gets one guess at the secret word. */
+export function startGuessPhase() {
+    state.currentPhase  = Phase.GUESS;
+    state.imposterGuess = null;
+    state.timerRunning  = false;
+}
+
+/**
+ * Check the caught imposter's guess against the secret word.
+ * @returns {{ error:string|null, correct:boolean }}
+ */
+export function submitImposterGuess(text) {
+    if (state.currentPhase !== Phase.GUESS) return { error: 'No guess is expected now.', correct: false };
+    const guess = String(text ?? '').trim();
+    if (!guess) return { error: 'Enter a guess first.', correct: false };
+
+    const correct = wordsMatch(guess, state.currentWord.word);
+    state.imposterGuess = { text: guess, correct };
+    return { error: null, correct };
+}
+
+/**
+ * Work out who won from the vote result.  A 'solo' role that wins (the
+ * Jester voted out) takes the match from both teams.
+ * @returns {{ winner:'civilians'|'imposter'|string, winnerLabel:string|null,
+ *             reason:string, imposterNames:string[], specialRoles:{name:string,label:string}[],
+ *             eliminatedName:string|null, imposterCaught:boolean,
+ *             guess:{text:string,correct:boolean}|null, seed:string, word:string|null,
+ *             decoy:string|null, category:string|null, tally:object[],
+ *             rounds:number, durationSeconds:number, endedAt:string }}
+ */
+function computeOutcome() {
+    const elim = state.eliminatedIndex;
+    const imposterNames  = state.imposterIndices.map(i => state.players[i]);
+    const imposterName   = imposterNames.join(' and ');
+    const wasWere        = imposterNames.length === 1 ? 'was the imposter' : 'were the imposters';
+    const eliminatedName = elim >= 0 ? state.players[elim] : null;
+    const imposterCaught = isImposter(elim);
+    const guessedWord    = imposterCaught && !!state.imposterGuess?.correct;
+    const result = {
+        winner:          imposterCaught && !guessedWord ? 'civilians' : 'imposter',
+        eliminatedIndex: elim,
+    };
+    const soloWinner = state.roles.findIndex((id, i) => ROLES[id].team === 'solo' && ROLES[id].wins(result, i));
+    const soloLabel  = soloWinner >= 0 ? ROLES[state.roles[soloWinner]].label : null;
+    if (soloWinner >= 0) result.winner = state.roles[soloWinner];
+
+    let reason;
+    if (soloWinner >= 0) {
+        reason = `${state.players[soloWinner]} was the ${soloLabel} and wanted to be voted out. ${imposterName} ${wasWere}.`;
+    } else if (guessedWord) {
+        reason = `${eliminatedName} was caught, but stole the win by guessing the word.`;
+    } else if (imposterCaught && state.imposterGuess) {
+        reason = `${eliminatedName} was caught and guessed wrong.`;
+    } else if (imposterCaught) {
+        reason = `${eliminatedName} was voted out and was an imposter.`;
+    } else if (eliminatedName) {
+        reason = `${eliminatedName} was voted out but was innocent. ${imposterName} ${wasWere}.`;
+    } else {
+        reason = `The vote was tied, so nobody was eliminated. ${imposterName} ${wasWere}.`;
+    }
+
+    return {
+        winner:         result.winner,
+        winnerLabel:    soloLabel,
+        reason,
+        imposterNames,
+        specialRoles:   state.roles
+            .map((id, i) => ({ id, name: state.players[i] }))
+            .filter(r => ROLES[r.id].optional)
+            .map(r => ({ name: r.name, label: ROLES[r.id].label })),
+        eliminatedName,
+        imposterCaught,
+        guess:          state.imposterGuess,
+        seed:           state.seed,
+        word:           state.currentWord?.word ?? null,
+        decoy:          state.variant === Variant.UNDERCOVER ? state.currentWord?.decoy ?? null : null,
+        category:       state.currentWord ? getCategoryLabel(state.currentWord.category) : null,
+        tally:          state.lastTally,
+        rounds:         state.round,
+        durationSeconds: Math.round((Date.now() - state.startedAt) / 1000),
+        endedAt:        new Date().toISOString(),
+    };
 }
 
 export function endGame() {
     state.currentPhase = Phase.RESULTS;
     state.timerRunning = false;
+    state.outcome      = computeOutcome();
+    state.outcome.points = awardPoints(state.outcome);
+}
+
+/**
+ * The finished match as a match-history record.  Built from the outcome
+ * and synced state, so peers can record the same match as the host.
+ * @returns {object|null} null before RESULTS
+ */
+export function getMatchRecord() {
+    const o = state.outcome;
+    if (!o) return null;
+    return {
+        endedAt:         o.endedAt,
+        seed:            o.seed,
+        mode:            state.mode,
+        variant:         state.variant,
+        players:         [...state.players],
+        category:        o.category,
+        word:            o.word,
+        decoy:           o.decoy,
+        imposters:       o.imposterNames,
+        eliminated:      o.eliminatedName,
+        imposterCaught:  o.imposterCaught,
+        winner:          o.winner,
+        winnerLabel:     o.winnerLabel,
+        rounds:          o.rounds,
+        durationSeconds: o.durationSeconds,
+    };
+}
+
+/* ── Scoring ───────────────────────────────────────────────── */
+
+/** Start standings afresh whenever a different set of players starts a game. */
+function syncScoreRoster() {
+    const roster = [...state.players].sort();
+    if (JSON.stringify(roster) === JSON.stringify(state.scoreRoster)) return;
+    state.scoreRoster   = roster;
+    state.scores        = Object.fromEntries(roster.map(n => [n, 0]));
+    state.matchesPlayed = 0;
+}
+
+/**
+ * Add this match's points to the standings.
+ * @returns {Object<string, number>} name -> points earned this match
+ */
+function awardPoints(outcome) {
+    const earned = Object.fromEntries(state.players.map(n => [n, 0]));
+    const result = { winner: outcome.winner, eliminatedIndex: state.eliminatedIndex };
+
+    state.players.forEach((name, i) => {
+        const role = ROLES[getPlayerRole(i)];
+        if (role.wins(result, i)) earned[name] = role.points(result, i);
+    });
+
+    Object.entries(earned).forEach(([name, pts]) => {
+        state.scores[name] = (state.scores[name] ?? 0) + pts;
+    });
+    state.matchesPlayed++;
+    return earned;
+}
+
+/**
+ * Standings, highest first.
+ * @returns {{ name:string, points:number }[]}
+ */
+export function getScoreboard() {
+    return Object.entries(state.scores)
+        .map(([name, points]) => ({ name, points }))
+        .sort((a, b) => b.points - a.points || a.name.localeCompare(b.name));
 }
 
 /* ── Timer ─────────────────────────────────────────────────── */
@@ -293,8 +1129,149 @@ export function resetTimer() {
     state.timerRunning = false;
 }
 
+/** Restart the timer for a new turn — a countdown starts running by itself. */
+function armTimer(limit) {
+    state.timerSeconds = 0;
+    state.timerLimit   = limit;
+    state.timerRunning = limit > 0;
+}
+
+/**
+ * Advance the timer by one second.
+ * @returns {boolean} true if a countdown just ran out
+ */
 export function tickTimerSecond() {
-    if (state.timerRunning) state.timerSeconds++;
+    if (!state.timerRunning) return false;
+    state.timerSeconds++;
+    if (state.timerLimit > 0 && state.timerSeconds >= state.timerLimit) {
+        state.timerRunning = false;
+        return true;
+    }
+    return false;
+}
+
+/** Seconds to show: time left for a countdown, time elapsed otherwise. */
+export function getTimerDisplaySeconds() {
+    return state.timerLimit > 0
+        ? Math.max(0, state.timerLimit - state.timerSeconds)
+        : state.timerSeconds;
+}
+
+/** Seconds left on the countdown, or null when the timer is a stopwatch. */
+export function getTimerRemaining() {
+    return state.timerLimit > 0 ? Math.max(0, state.timerLimit - state.timerSeconds) : null;
+}
+
+/** Mirror the host's timer exactly (peer side). */
+export function applyHostTimer(t) {
+    state.timerSeconds = t.seconds;
+    state.timerRunning = t.running;
+    state.timerLimit   = t.limit;
+}
+
+/** The timer fields the host sends with every tick. */
+export function serialiseTimer() {
+    return { seconds: state.timerSeconds, running: state.timerRunning, limit: state.timerLimit };
+}
+
+/* ── Save / resume (local games) ───────────────────────────── */
+
+const SNAPSHOT_VERSION = 1;
+
+/** Phases a saved local game can be resumed from. */
+const RESUMABLE_PHASES = [Phase.REVEAL, Phase.CLUES, Phase.DEBATE, Phase.VOTE, Phase.GUESS];
+
+/** Per-device and online-only fields that are never saved. */
+const UNSAVED_KEYS = ['mode', 'localPlayerName', 'isHost', 'onlinePeers', '_rng', '_localRole', '_hostReady'];
+
+/** Is the current game one worth saving (a local game still in play)? */
+export function isResumableGame() {
+    return state.mode === GameMode.LOCAL && RESUMABLE_PHASES.includes(state.currentPhase);
+}
+
+/**
+ * Everything needed to pick a game back up after a reload — or, sealed,
+ * for a backup host to carry on an online match (see js/escrow.js).
+ * @returns {{ version:number, savedAt:number, state:object }}
+ */
+export function createSnapshot() {
+    const saved = Object.fromEntries(Object.entries(state).filter(([k]) => !UNSAVED_KEYS.includes(k)));
+    return { version: SNAPSHOT_VERSION, savedAt: Date.now(), state: structuredClone(saved) };
+}
+
+/** Can this stored snapshot still be resumed? */
+export function canResumeSnapshot(snap) {
+    return snap?.version === SNAPSHOT_VERSION && RESUMABLE_PHASES.includes(snap.state?.currentPhase);
+}
+
+/**
+ * Restore a saved game.  The timer comes back paused and nobody's
+ * role is showing — the reveal restarts at the current player's tap.
+ * @param {object} snap  from createSnapshot()
+ * @param {string} [mode=GameMode.LOCAL]  GameMode.ONLINE_HOST when a backup host takes over
+ * @returns {string|null} error or null
+ */
+export function restoreSnapshot(snap, mode = GameMode.LOCAL) {
+    if (!canResumeSnapshot(snap)) return 'That saved game can no longer be resumed.';
+    fullReset();
+    Object.keys(snap.state).forEach(k => {
+        if (k in state && !UNSAVED_KEYS.includes(k)) state[k] = snap.state[k];
+    });
+    state.mode           = mode;
+    state.isRoleRevealed = false;
+    state.timerRunning   = false;
+    state._rng           = seededRng(state.seed, state.rngDraws);
+    return null;
+}
+
+/* ── Peer actions (online) ─────────────────────────────────── */
+
+/** What a player's device may ask the host to do, in an `input` message. */
+export const PeerAction = Object.freeze({
+    CLUE:         'clue',           // type in your clue (your turn)
+    CLUE_DONE:    'clue_done',      // you've said your clue out loud — end your turn
+    START_DEBATE: 'start_debate',   // skip the rest of the clues (needs a majority)
+    VOTE:         'vote',
+    GUESS:        'guess',          // the caught imposter's last chance
+    PAUSE_TIMER:  'pause_timer',
+});
+
+/**
+ * Who may do what, and when.  The host checks every peer action against
+ * this before applying it; peers use it to show only the buttons that work.
+ * @param {string} action     a PeerAction
+ * @param {number} playerIdx  the asking player's seat, -1 for a spectator
+ * @returns {string|null} why not, or null if allowed
+ */
+export function checkPeerAction(action, playerIdx) {
+    if (playerIdx < 0 || playerIdx >= state.players.length) return 'Only players in the match can do that.';
+    const phase = state.currentPhase;
+    switch (action) {
+        case PeerAction.CLUE:
+        case PeerAction.CLUE_DONE:
+            if (phase !== Phase.CLUES) return 'It is not the clue phase.';
+            if (playerIdx !== getCurrentCluePlayerIndex()) return 'It is not your turn to give a clue.';
+            return null;
+        case PeerAction.START_DEBATE:
+            if (phase !== Phase.CLUES) return 'It is not the clue phase.';
+            if (state.debateRequests.includes(playerIdx)) return 'You have already asked to start the debate.';
+            return null;
+        case PeerAction.VOTE:
+            return phase === Phase.VOTE ? null : 'Voting is not open.';
+        case PeerAction.GUESS:
+            if (phase !== Phase.GUESS) return 'It is not time to guess.';
+            return playerIdx === state.eliminatedIndex ? null : 'Only the caught imposter can guess.';
+        case PeerAction.PAUSE_TIMER:
+            if (phase !== Phase.CLUES && phase !== Phase.DEBATE) return 'There is no timer running now.';
+            if (!state.timerRunning) return 'The timer is already paused.';
+            // A clue turn's clock belongs to whoever is giving the clue
+            if (phase === Phase.CLUES && playerIdx !== getCurrentCluePlayerIndex()) {
+                return 'Only the player giving a clue can pause their timer.';
+            }
+            return null;
+        default:
+            return 'Unknown action.';
+    }
 }
 
 /* ── Network sync helpers ──────────────────────────────────── */
@@ -303,45 +1280,82 @@ export function tickTimerSecond() {
 export function serialiseForSync() {
     return {
         players:             state.players,
-        category:            state.category,
+        profiles:            state.profiles,
+        absentSeats:         state.absentSeats,
+        categories:          state.categories,
+        difficulty:          state.difficulty,
+        variant:             state.variant,
         currentPhase:        state.currentPhase,
         round:               state.round,
         currentPlayerIndex:  state.currentPlayerIndex,
         cluePlayerIndex:     state.cluePlayerIndex,
         startingPlayerIndex: state.startingPlayerIndex,
+        clues:               state.clues,
+        debateRequests:      state.debateRequests,
         timerSeconds:        state.timerSeconds,
         timerRunning:        state.timerRunning,
+        timerLimit:          state.timerLimit,
+        voteCandidates:      state.voteCandidates,
+        votedIndices:        state.votedIndices,
+        isRevote:            state.isRevote,
+        eliminatedIndex:     state.eliminatedIndex,
+        outcome:             state.outcome,
+        scores:              state.scores,
+        matchesPlayed:       state.matchesPlayed,
     };
 }
 
 /** Apply host-broadcast state (peer side). */
 export function applyHostState(s) {
     state.players             = s.players;
-    state.category            = s.category;
+    state.profiles            = s.profiles ?? state.profiles;
+    state.absentSeats         = s.absentSeats ?? [];
+    state.categories          = s.categories ?? state.categories;
+    state.difficulty          = s.difficulty ?? state.difficulty;
+    state.variant             = s.variant ?? state.variant;
     state.currentPhase        = s.currentPhase;
     state.round               = s.round;
     state.currentPlayerIndex  = s.currentPlayerIndex;
     state.cluePlayerIndex     = s.cluePlayerIndex;
     state.startingPlayerIndex = s.startingPlayerIndex;
+    state.clues               = s.clues ?? [];
+    state.debateRequests      = s.debateRequests ?? [];
     state.timerSeconds        = s.timerSeconds;
     state.timerRunning        = s.timerRunning;
+    state.timerLimit          = s.timerLimit ?? 0;
+    state.voteCandidates      = s.voteCandidates ?? [];
+    state.votedIndices        = s.votedIndices ?? [];
+    state.isRevote            = !!s.isRevote;
+    state.eliminatedIndex     = s.eliminatedIndex ?? -1;
+    state.outcome             = s.outcome ?? null;
+    applyHostScores(s.scores, s.matchesPlayed);
+}
+
+/** Take the host's standings as-is (peer side) — lobby updates carry them too. */
+export function applyHostScores(scores, matchesPlayed) {
+    if (!scores) return;
+    state.scores        = scores;
+    state.scoreRoster   = Object.keys(scores).sort();
+    state.matchesPlayed = matchesPlayed ?? state.matchesPlayed;
 }
 
 /** Apply role assignment from host (peer side). */
 export function applyRoleAssignment(data) {
-    state._localIsImposter = data.isImposter;
-    state._localWord       = data.word;
-    state._localHint       = data.hint;
+    state._localRole       = {
+        title:      String(data.title ?? ''),
+        isImposter: !!data.isImposter,
+        word:       data.word ?? null,
+        hint:       data.hint ?? null,
+        note:       data.note ?? null,
+        partners:   data.partners ?? [],
+    };
     state.isRoleRevealed   = false;
 }
 
-/** Checksum of core game state for desync detection. */
+/**
+ * Checksum of the synced state, for desync detection.  The host sends it
+ * with every sync; a peer that applied the same state gets the same value.
+ */
 export function getStateChecksum() {
-    return checksum(JSON.stringify({
-        phase:   state.currentPhase,
-        players: state.players,
-        round:   state.round,
-        imp:     state.imposterIndex,
-        word:    state.currentWord?.word,
-    }));
+    return checksum(JSON.stringify(serialiseForSync()));
 }
@@ -0,0 +1,88 @@
+/**
+ * Match history for VAGUE — recording finished matches and working out
+ * per-player statistics.  Pure functions over a plain array of records
+ * (see getMatchRecord() in game.js); storage is up to the caller.
+ */
+
+/** Oldest matches are dropped beyond this many. */
+export const MAX_HISTORY = 200;
+
+/** How many favourite categories to list per player. */
+const FAVOURITE_COUNT = 3;
+
+/**
+ * Add a finished match, newest last.  The same match arriving twice
+ * (e.g. a repeated RESULTS broadcast) is only kept once.
+ * @param {object[]} history
+ * @param {object} record
+ * @returns {object[]} a new history array
+ */
+export function addMatch(history, record) {
+    const dupe = history.some(m => m.endedAt === record.endedAt && m.seed === record.seed);
+    if (dupe) return history;
+    return [...history, record].slice(-MAX_HISTORY);
+}
+
+/**
+ * The usable records of a stored history.  Hand-edited or corrupt records
+ * are dropped, so one bad entry can't break the stats screen.
+ * @param {unknown} saved
+ * @returns {object[]}
+ */
+export function cleanHistory(saved) {
+    return Array.isArray(saved) ? saved.filter(isMatchRecord).slice(-MAX_HISTORY) : [];
+}
+
+/** Does a stored record have the fields the stats and history list read? */
+function isMatchRecord(m) {
+    const names = v => Array.isArray(v) && v.every(n => typeof n === 'string');
+    return !!m && typeof m === 'object'
+        && names(m.players) && names(m.imposters)
+        && typeof m.endedAt === 'string' && typeof m.winner === 'string'
+        && Number.isFinite(m.rounds) && Number.isFinite(m.durationSeconds);
+}
+
+/**
+ * Per-player statistics across the whole history, most matches first.
+ * @param {object[]} history
+ * @returns {{ name:string, matches:number, imposterMatches:number, imposterWins:number,
+ *             imposterWinRate:number|null, timesCaught:number, favouriteCategories:string[] }[]}
+ */
+export function getPlayerStats(history) {
+    const stats = new Map();   // name -> running totals
+
+    history.forEach(match => {
+        match.players.forEach(name => {
+            if (!stats.has(name)) {
+                stats.set(name, { name, matches: 0, imposterMatches: 0, imposterWins: 0, timesCaught: 0, categories: {} });
+            }
+            const s = stats.get(name);
+            s.matches++;
+            if (match.category) s.categories[match.category] = (s.categories[match.category] ?? 0) + 1;
+
+            if (!match.imposters.includes(name)) return;
+            s.imposterMatches++;
+            if (match.winner === 'imposter') s.imposterWins++;
+            if (match.imposterCaught && match.eliminated === name) s.timesCaught++;
+        });
+    });
+
+    return [...stats.values()]
+        .map(({ categories, ...s }) => ({
+            ...s,
+            imposterWinRate: s.imposterMatches ? s.imposterWins / s.imposterMatches : null,
+            favouriteCategories: Object.entries(categories)
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .slice(0, FAVOURITE_COUNT)
+                .map(([category]) => category),
+        }))
+        .sort((a, b) => b.matches - a.matches || a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {object[]} history
+ * @returns {string}
+ */
+export function historyToJSON(history) {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), matches: history }, null, 2);
+}
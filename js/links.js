@@ -0,0 +1,52 @@
+/**
+ * Shareable links for joining VAGUE online games.  An invite (or response)
+ * code rides in the URL #fragment — which browsers never send to a
+ * server — along with the time the link stops working.
+ */
+
+/** What a link carries; also its key in the fragment. */
+export const LinkKind = Object.freeze({
+    JOIN:   'join',     // host -> player: an invite code
+    ANSWER: 'answer',   // player -> host: the paste-back response code
+});
+
+/** How long a link works.  The host's connection attempt won't wait forever. */
+export const LINK_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * @param {string} pageUrl  the game's own URL (any fragment is replaced)
+ * @param {string} kind     a LinkKind
+ * @param {string} code     from encodeSDP()
+ * @param {number} [now]
+ * @returns {string}
+ */
+export function buildLink(pageUrl, kind, code, now = Date.now()) {
+    const url = new URL(pageUrl);
+    const expires = Math.floor((now + LINK_TTL_MS) / 1000).toString(36);
+    url.hash = new URLSearchParams({ [kind]: code, exp: expires }).toString();
+    return url.href;
+}
+
+/**
+ * Read a link, or just its fragment.  Text without a link fragment (say, a
+ * bare code) is no link at all rather than an error.
+ * @param {string} text
+ * @param {number} [now]
+ * @returns {{ link: { kind:string, code:string }|null, error: string|null }}
+ */
+export function parseLink(text, now = Date.now()) {
+    const hashAt = text.indexOf('#');
+    const params = new URLSearchParams(hashAt === -1 ? '' : text.slice(hashAt + 1));
+    const kind = Object.values(LinkKind).find(k => params.has(k));
+    if (!kind) return { link: null, error: null };
+
+    const code    = params.get(kind).replace(/\s+/g, '');
+    const expires = parseInt(params.get('exp') ?? '', 36);
+    if (!code || !Number.isFinite(expires)) {
+        return { link: null, error: 'This link is incomplete — it may have been cut off. Ask for a new one.' };
+    }
+    if (expires * 1000 < now) {
+        return { link: null, error: 'This link has expired. Ask for a new one.' };
+    }
+    return { link: { kind, code }, error: null };
+}
@@ -2,18 +2,21 @@
  * WebRTC peer-to-peer networking for VAGUE online multiplayer.
  *
  * Topology: star — one host, N peers.  Host is authoritative.
- * Signalling: manual copy-paste of base64-encoded SDP offer/answer.
+ * Signalling: pluggable transports — manual copy-paste (or QR scan) of
+ * compressed SDP codes, or a room on a WebSocket signalling server
+ * (server/signal-server.mjs) that relays everything automatically.
  * Data channel: ordered, reliable JSON messages.
  *
- * Message protocol version 1 — every message is a JSON object with a
- * `type` field.  See PROTOCOL.md (or README) for the full list.
+ * Every message is a JSON object with a `type` field, checked against its
+ * schema in protocol.js before it is handled.  See README for the full list.
  */
 
-import { generateId, encodeSDP, decodeSDP, checksum } from './utils.js';
+import { generateId, generateToken, encodeSDP, decodeSDP } from './utils.js';
+import { PROTOCOL_VERSION, Sender, parseMessage, versionMismatchReason } from './protocol.js';
 
-/* ── Constants ─────────────────────────────────────────────── */
+export { PROTOCOL_VERSION };
 
-export const PROTOCOL_VERSION = 1;
+/* ── Constants ─────────────────────────────────────────────── */
 
 const ICE_SERVERS = [
     { urls: 'stun:stun.l.google.com:19302' },
@@ -23,122 +26,279 @@ const ICE_SERVERS = [
 const PING_INTERVAL_MS  = 5000;
 const SYNC_INTERVAL_MS  = 3000;  // host sends state snapshot every N ms
 const CHANNEL_LABEL     = 'vague-game';
+const MAX_BAD_MESSAGES  = 10;    // a peer sending more invalid messages than this is dropped
+const REJECT_CLOSE_MS   = 1000;  // time for a reject message to arrive before hanging up
+
+/* ── Signalling transports ─────────────────────────────────── */
+
+/*
+ * A signalling transport carries offers, answers and ICE candidates
+ * between the host and a joining peer until their data channel opens.
+ * Each one has:
+ *   trickle                 true to send candidates one by one as they're found;
+ *                           false makes each description wait for all of them
+ *   send(to, signal)        signal: { type:'offer'|'answer', sdp } or { type:'candidate', candidate }
+ *   close()
+ * and calls back into the NetworkManager that uses it (see useSignalling()):
+ *   onPeerJoined(peerId)    host: someone is waiting for an offer
+ *   onPeerLeft(peerId)      host: they gave up before connecting
+ *   onSignal(from, signal)  returns a promise that rejects if the signal was unusable
+ *   onError(message)
+ * Peers address the host as 'host'.
+ */
+
+/** By hand: every offer and answer becomes a code the players copy and paste. */
+export class ManualSignalling {
+    constructor() {
+        this.trickle      = false;
+        this.onPeerJoined = null;
+        this.onPeerLeft   = null;
+        this.onSignal     = null;
+        this.onError      = null;
+        /** @type {(code:string)=>void} shows an outgoing code to the player */
+        this.onCode       = null;
+        this.remoteId     = 'host';   // who the next pasted code comes from
+    }
+
+    /**
+     * Host: start connecting one more player.
+     * @returns {Promise<string>} their peer ID, once onCode has their invite code
+     */
+    async invite() {
+        const peerId = generateId();
+        this.remoteId = peerId;
+        await this.onPeerJoined?.(peerId);
+        return peerId;
+    }
+
+    async send(to, signal) {
+        if (signal.type === 'candidate') return;   // already in the description
+        this.onCode?.(await encodeSDP(signal));
+    }
+
+    /** A code the other side pasted.  Rejects if it's damaged or the wrong kind. */
+    async receive(code) {
+        await this.onSignal?.(this.remoteId, await decodeSDP(code));
+    }
+
+    close() {}
+}
+
+/** Through a signalling server: players join the host's room by its short code. */
+export class WebSocketSignalling {
+    /** @param {string} url  e.g. ws://192.168.1.10:8787 */
+    constructor(url) {
+        this.url          = url;
+        this.trickle      = true;
+        this.room         = null;
+        this.onPeerJoined = null;
+        this.onPeerLeft   = null;
+        this.onSignal     = null;
+        this.onError      = null;
+        /** @type {(reason:string)=>void} the server or the host closed the room */
+        this.onClose      = null;
+        this._ws          = null;
+    }
+
+    /**
+     * Host: open a new room.
+     * @returns {Promise<string>} its code
+     */
+    async createRoom() {
+        const msg = await this._connect({ type: 'create' }, 'created');
+        this.room = msg.room;
+        return msg.room;
+    }
+
+    /**
+     * Peer: join a room.  The host is sent an offer for us straight away.
+     * @param {string} code
+     * @returns {Promise<void>} rejects if there's no such room
+     */
+    async joinRoom(code) {
+        const msg = await this._connect({ type: 'join', room: code.trim().toUpperCase() }, 'joined');
+        this.room = msg.room;
+    }
+
+    send(to, signal) {
+        if (this._ws?.readyState === WebSocket.OPEN) {
+            this._ws.send(JSON.stringify({ type: 'signal', to, signal }));
+        }
+    }
+
+    close() {
+        const ws = this._ws;
+        this._ws = null;
+        try { ws?.close(); } catch { /* */ }
+    }
+
+    /** Open the socket, send the first request, and resolve with the server's reply. */
+    _connect(request, expected) {
+        return new Promise((resolve, reject) => {
+            let ws;
+            try {
+                ws = new WebSocket(this.url);
+            } catch {
+                reject(new Error('That server address isn\'t valid.'));
+                return;
+            }
+            this._ws = ws;
+            let settled = false;
+
+            ws.onopen = () => ws.send(JSON.stringify(request));
+            ws.onmessage = (e) => {
+                let msg;
+                try { msg = JSON.parse(e.data); } catch { return; }
+                if (settled) { this._handle(msg); return; }
+                settled = true;
+                if (msg.type === expected) {
+                    resolve(msg);
+                } else {
+                    this.close();
+                    reject(new Error(msg.message ?? 'The signalling server refused.'));
+                }
+            };
+            const unreachable = () => {
+                if (settled) return;
+                settled = true;
+                reject(new Error('Couldn\'t reach the signalling server.'));
+            };
+            ws.onerror = unreachable;
+            ws.onclose = () => {
+                unreachable();
+                if (this._ws !== ws) return;   // closed on purpose
+                this._ws = null;
+                this.onClose?.('Lost the signalling server.');
+            };
+        });
+    }
+
+    _handle(msg) {
+        const report = (p) => Promise.resolve(p).catch(e => this.onError?.(e.message));
+        switch (msg.type) {
+            case 'peer_joined': report(this.onPeerJoined?.(msg.id)); return;
+            case 'peer_left':   this.onPeerLeft?.(msg.id); return;
+            case 'signal':      report(this.onSignal?.(msg.from, msg.signal)); return;
+            case 'room_closed':
+                this.close();
+                this.onClose?.('The host closed the room.');
+                return;
+        }
+    }
+}
 
 /* ── NetworkManager ────────────────────────────────────────── */
 
 export class NetworkManager {
     constructor() {
-        /** @type {Map<string, {pc:RTCPeerConnection, ch:RTCDataChannel|null, name:string|null}>} */
+        /** @type {Map<string, {pc:RTCPeerConnection, ch:RTCDataChannel|null, name:string|null, profile:object|null,
+         *                     presentedToken:string|null}>} presentedToken: one from another host, see hello */
         this.peers = new Map();
 
         /** ID of the peer currently being connected (host only). */
         this.pendingPeerId = null;
 
+        /** Host: session token -> the peer ID currently holding it. */
+        this.sessions = new Map();
+
         /** Peer-side: connection to host. */
         this.hostPc      = null;
         this.hostChannel  = null;
 
         this.isHost       = false;
         this.localName    = '';
+        this.localProfile = null;   // { colour, emoji } sent in hello, or null for the defaults
+        this.spectate     = false;  // ask the host to join as a spectator
+        this.sessionToken = null;   // from the host's welcome; sent in hello to reclaim a seat
         this._closed      = false;
 
+        /** Copy-paste signalling, always available; see createOffer() / createAnswer(). */
+        this.manual = new ManualSignalling();
+        /** @type {Set<object>} every signalling transport in use */
+        this._transports  = new Set();
+        this._signalQueue = Promise.resolve();   // signals are handled one at a time, in order
+        this.useSignalling(this.manual);
+
         /* Callbacks — set by app.js ------------------------------------ */
         /** @type {(peerId:string, msg:object)=>void} */
         this.onMessage           = null;
-        /** @type {(peerId:string, name:string)=>void} */
+        /** @type {(peerId:string, name:string, profile:object|null, spectator:boolean)=>void} */
         this.onPeerConnected     = null;
+        /** @type {(peerId:string, previousId:string, name:string)=>void} */
+        this.onPeerReconnected   = null;
         /** @type {(peerId:string)=>void} */
         this.onPeerDisconnected  = null;
         /** @type {()=>void} */
         this.onConnectedToHost   = null;
+        /** @type {(reason:string)=>void} peer: the host turned us away (e.g. another protocol version) */
+        this.onRejected          = null;
         /** @type {(err:string)=>void} */
         this.onError             = null;
 
         /* Internal timers */
         this._pingTimer = null;
         this._syncTimer = null;
+        this._syncFns   = null;       // { getStateFn, getChecksumFn } while the sync loop runs
         this._latency   = new Map();  // peerId -> ms
     }
 
-    /* ── Host: generate offer for a new peer ───────────────── */
+    /* ── Signalling ────────────────────────────────────────── */
 
     /**
-     * Create a new RTCPeerConnection + offer.
-     * @returns {Promise<{peerId:string, offerCode:string}>}
+     * Connect players through a signalling transport (see the top of this
+     * file).  Several can be in use at once, e.g. a room plus manual codes.
+     * @param {object} transport
      */
-    async createOffer() {
-        const peerId = generateId();
-        const pc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
-
-        // Create data channel (host-initiated)
-        const ch = pc.createDataChannel(CHANNEL_LABEL, { ordered: true });
-        this._setupHostChannel(ch, peerId);
-
-        pc.oniceconnectionstatechange = () => {
-            if (pc.iceConnectionState === 'disconnected' || pc.iceConnectionState === 'failed') {
-                this._handlePeerDisconnect(peerId);
-            }
+    useSignalling(transport) {
+        transport.onPeerJoined = (peerId) => this._offerTo(peerId, transport);
+        transport.onPeerLeft   = (peerId) => {
+            // Only connections that never got as far as hello
+            if (this.peers.has(peerId) && !this.peers.get(peerId).name) this._dropPeer(peerId);
         };
+        transport.onSignal     = (from, signal) => {
+            const result = this._signalQueue.then(() => this._handleSignal(transport, from, signal));
+            this._signalQueue = result.catch(() => {});
+            return result;
+        };
+        transport.onError      = (message) => { if (this.onError) this.onError(message); };
+        this._transports.add(transport);
+    }
 
-        const offer = await pc.createOffer();
-        await pc.setLocalDescription(offer);
-
-        // Wait until ICE gathering is complete so the SDP contains all candidates
-        await this._waitIceGathering(pc);
+    /* ── Manual signalling ─────────────────────────────────── */
 
-        this.peers.set(peerId, { pc, ch, name: null });
+    /**
+     * Host: create a connection + offer code for one more player.
+     * @returns {Promise<{peerId:string, offerCode:string}>}
+     */
+    async createOffer() {
+        let offerCode = '';
+        this.manual.onCode = (code) => { offerCode = code; };
+        const peerId = await this.manual.invite();
         this.pendingPeerId = peerId;
-
-        return { peerId, offerCode: encodeSDP(pc.localDescription) };
+        return { peerId, offerCode };
     }
 
     /**
-     * Host accepts the base64-encoded answer from a peer.
+     * Host accepts the response code from a peer.
      * @param {string} answerCode
      * @returns {Promise<void>}
      */
     async acceptAnswer(answerCode) {
-        const id = this.pendingPeerId;
-        const peer = this.peers.get(id);
-        if (!peer) throw new Error('No pending peer connection.');
-
-        const desc = decodeSDP(answerCode);
-        await peer.pc.setRemoteDescription(desc);
+        if (!this.peers.has(this.pendingPeerId)) throw new Error('No pending peer connection.');
+        await this.manual.receive(answerCode);
         // Channel open is handled by the datachannel event / onopen
     }
 
-    /* ── Peer: join a host ─────────────────────────────────── */
-
     /**
      * Peer creates an answer from the host's offer code.
      * @param {string} offerCode
      * @returns {Promise<string>} answerCode
      */
     async createAnswer(offerCode) {
-        const pc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
-        this.hostPc = pc;
-
-        // Wait for the host-created data channel
-        pc.ondatachannel = (e) => {
-            this.hostChannel = e.channel;
-            this._setupPeerChannel(e.channel);
-        };
-
-        pc.oniceconnectionstatechange = () => {
-            if (pc.iceConnectionState === 'disconnected' || pc.iceConnectionState === 'failed') {
-                if (this.onPeerDisconnected) this.onPeerDisconnected('host');
-            }
-        };
-
-        const desc = decodeSDP(offerCode);
-        await pc.setRemoteDescription(desc);
-
-        const answer = await pc.createAnswer();
-        await pc.setLocalDescription(answer);
-
-        await this._waitIceGathering(pc);
-
-        return encodeSDP(pc.localDescription);
+        let answerCode = '';
+        this.manual.onCode = (code) => { answerCode = code; };
+        await this.manual.receive(offerCode);
+        return answerCode;
     }
 
     /* ── Messaging ─────────────────────────────────────────── */
@@ -220,25 +380,51 @@ export class NetworkManager {
 
     /**
      * @param {()=>object} getStateFn — called each tick to get the serialisable state
+     * @param {()=>string} getChecksumFn — its checksum, which peers verify after applying it
+     * @param {()=>void} [onSynced] — called after each snapshot goes out
      */
-    startSyncLoop(getStateFn) {
+    startSyncLoop(getStateFn, getChecksumFn, onSynced) {
         this.stopSyncLoop();
-        this._syncTimer = setInterval(() => {
-            const s = getStateFn();
-            this.broadcast({ type: 'sync', version: PROTOCOL_VERSION, state: s, checksum: checksum(JSON.stringify(s)) });
-        }, SYNC_INTERVAL_MS);
+        this._syncFns   = { getStateFn, getChecksumFn, onSynced };
+        this._syncTimer = setInterval(() => this.syncNow(), SYNC_INTERVAL_MS);
+    }
+
+    /** Send a snapshot now rather than at the next tick — for changes that don't move the phase. */
+    syncNow() {
+        if (!this._syncFns) return;
+        const { getStateFn, getChecksumFn, onSynced } = this._syncFns;
+        this.broadcast({ type: 'sync', version: PROTOCOL_VERSION, state: getStateFn(), checksum: getChecksumFn() });
+        onSynced?.();
     }
 
     stopSyncLoop() {
         if (this._syncTimer) { clearInterval(this._syncTimer); this._syncTimer = null; }
+        this._syncFns = null;
     }
 
     /* ── Cleanup ───────────────────────────────────────────── */
 
+    /** The session token a peer holds (host side), or null. */
+    getSessionToken(peerId) {
+        for (const [token, id] of this.sessions) {
+            if (id === peerId) return token;
+        }
+        return null;
+    }
+
+    /** Forget a peer's session token, so it can no longer reclaim its seat (host side). */
+    endSession(peerId) {
+        for (const [token, id] of this.sessions) {
+            if (id === peerId) this.sessions.delete(token);
+        }
+    }
+
     close() {
         this._closed = true;
         this.stopPingLoop();
         this.stopSyncLoop();
+        this._transports.forEach(t => t.close());
+        this._transports.clear();
 
         // Close host-side peer connections
         for (const [, p] of this.peers) {
@@ -257,6 +443,84 @@ export class NetworkManager {
 
     /* ── Internal helpers ──────────────────────────────────── */
 
+    /** Host: a new connection and data channel for a peer, and its offer. */
+    async _offerTo(peerId, transport) {
+        const pc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+
+        // Create data channel (host-initiated)
+        const ch = pc.createDataChannel(CHANNEL_LABEL, { ordered: true });
+        this._setupHostChannel(ch, peerId);
+
+        pc.oniceconnectionstatechange = () => {
+            if (pc.iceConnectionState === 'disconnected' || pc.iceConnectionState === 'failed') {
+                this._handlePeerDisconnect(peerId);
+            }
+        };
+        this._trickleCandidates(pc, peerId, transport);
+        this.peers.set(peerId, { pc, ch, name: null, profile: null });
+
+        await pc.setLocalDescription(await pc.createOffer());
+        // Without trickle the SDP has to contain all candidates
+        if (!transport.trickle) await this._waitIceGathering(pc);
+        await transport.send(peerId, { type: 'offer', sdp: pc.localDescription.sdp });
+    }
+
+    /** Peer: a connection to the host from its offer, and our answer. */
+    async _answerOffer(offer, transport) {
+        try { this.hostPc?.close(); } catch { /* */ }   // an earlier attempt
+        const pc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+        this.hostPc = pc;
+
+        // Wait for the host-created data channel
+        pc.ondatachannel = (e) => {
+            this.hostChannel = e.channel;
+            this._setupPeerChannel(e.channel);
+        };
+
+        pc.oniceconnectionstatechange = () => {
+            if (pc.iceConnectionState === 'disconnected' || pc.iceConnectionState === 'failed') {
+                if (!this._closed && this.onPeerDisconnected) this.onPeerDisconnected('host');
+            }
+        };
+        this._trickleCandidates(pc, 'host', transport);
+
+        await pc.setRemoteDescription(offer);
+        await pc.setLocalDescription(await pc.createAnswer());
+        if (!transport.trickle) await this._waitIceGathering(pc);
+        await transport.send('host', { type: 'answer', sdp: pc.localDescription.sdp });
+    }
+
+    /** Send our ICE candidates as they're found, if the transport can. */
+    _trickleCandidates(pc, to, transport) {
+        if (!transport.trickle) return;
+        pc.onicecandidate = (e) => {
+            if (e.candidate) transport.send(to, { type: 'candidate', candidate: e.candidate.toJSON() });
+        };
+    }
+
+    /** One offer, answer or candidate from a transport. */
+    async _handleSignal(transport, from, signal) {
+        switch (signal?.type) {
+            case 'offer':
+                if (this.isHost) throw new Error('That is an invite code, not a response code.');
+                await this._answerOffer(signal, transport);
+                return;
+            case 'answer': {
+                if (!this.isHost) throw new Error('That is a response code, not an invite code.');
+                const peer = this.peers.get(from);
+                if (!peer) throw new Error('No pending peer connection.');
+                await peer.pc.setRemoteDescription(signal);
+                return;
+            }
+            case 'candidate': {
+                const pc = this.isHost ? this.peers.get(from)?.pc : this.hostPc;
+                // A stale candidate for a closed connection is harmless
+                if (pc && signal.candidate) await pc.addIceCandidate(signal.candidate).catch(() => {});
+                return;
+            }
+        }
+    }
+
     /** Wait for ICE gathering to finish so the SDP is complete. */
     _waitIceGathering(pc) {
         return new Promise((resolve) => {
@@ -279,10 +543,9 @@ export class NetworkManager {
             // Peer channel is now open; wait for their hello message
         };
         ch.onmessage = (e) => {
-            try {
-                const msg = JSON.parse(e.data);
-                this._handleHostMessage(peerId, msg);
-            } catch { /* malformed */ }
+            const { msg, error } = parseMessage(e.data, Sender.PEER);
+            if (error) this._handleBadMessage(peerId, error);
+            else this._handleHostMessage(peerId, msg);
         };
         ch.onclose = () => this._handlePeerDisconnect(peerId);
         ch.onerror = () => this._handlePeerDisconnect(peerId);
@@ -296,16 +559,18 @@ export class NetworkManager {
                 type:    'hello',
                 version: PROTOCOL_VERSION,
                 name:    this.localName,
+                profile: this.localProfile,
+                spectator: this.spectate,
+                token:   this.sessionToken,
             });
         };
         ch.onmessage = (e) => {
-            try {
-                const msg = JSON.parse(e.data);
-                this._handlePeerMessage(msg);
-            } catch { /* malformed */ }
+            // Anything the host sends that doesn't fit its schema is ignored
+            const { msg } = parseMessage(e.data, Sender.HOST);
+            if (msg) this._handlePeerMessage(msg);
         };
         ch.onclose = () => {
-            if (this.onPeerDisconnected) this.onPeerDisconnected('host');
+            if (!this._closed && this.onPeerDisconnected) this.onPeerDisconnected('host');
         };
         ch.onerror = () => {
             if (this.onError) this.onError('Connection error with host.');
@@ -314,18 +579,48 @@ export class NetworkManager {
 
     /** Host processes a message from a specific peer. */
     _handleHostMessage(peerId, msg) {
+        const peer = this.peers.get(peerId);
+        if (!peer) return;
+        // Nothing counts until the peer has said hello, and it only says it once
+        if (!peer.name && msg.type !== 'hello') return;
+        if (peer.name && msg.type === 'hello') return;
+
         // Built-in handling
         switch (msg.type) {
             case 'hello': {
-                const peer = this.peers.get(peerId);
-                if (peer) peer.name = msg.name;
+                if (msg.version !== PROTOCOL_VERSION) {
+                    this.rejectPeer(peerId, versionMismatchReason(PROTOCOL_VERSION, msg.version));
+                    if (this.onError) this.onError(`A player couldn't join: their game is on version ${msg.version}.`);
+                    return;
+                }
+                // A token we issued means a dropped peer is back on a fresh connection.  Any
+                // other is kept: after a takeover it proves a seat of the old host's match.
+                const previousId = this.sessions.get(msg.token) ?? null;
+                if (this._nameTaken(msg.name, peerId, previousId)) {
+                    this.rejectPeer(peerId, `The name "${msg.name.trim()}" is already taken in this game. Please pick another.`);
+                    return;
+                }
+                peer.name    = msg.name;
+                peer.profile = msg.profile ?? null;
+                peer.presentedToken = previousId
+                    ? this.peers.get(previousId)?.presentedToken ?? null
+                    : msg.token ?? null;
+                const token = previousId ? msg.token : generateToken();
+                this.sessions.set(token, peerId);
+                if (previousId) this._dropPeer(previousId);
+
                 // Send welcome back
                 this.sendToPeer(peerId, {
                     type:    'welcome',
                     version: PROTOCOL_VERSION,
                     peerId,
+                    token,
                 });
-                if (this.onPeerConnected) this.onPeerConnected(peerId, msg.name);
+                if (previousId) {
+                    if (this.onPeerReconnected) this.onPeerReconnected(peerId, previousId, msg.name);
+                } else if (this.onPeerConnected) {
+                    this.onPeerConnected(peerId, msg.name, msg.profile ?? null, !!msg.spectator);
+                }
                 return;
             }
             case 'pong': {
@@ -346,8 +641,16 @@ export class NetworkManager {
     _handlePeerMessage(msg) {
         switch (msg.type) {
             case 'welcome':
+                if (msg.version !== PROTOCOL_VERSION) {
+                    this._rejected(versionMismatchReason(msg.version, PROTOCOL_VERSION));
+                    return;
+                }
+                this.sessionToken = msg.token ?? null;
                 if (this.onConnectedToHost) this.onConnectedToHost();
                 return;
+            case 'reject':
+                this._rejected(msg.reason);
+                return;
             case 'ping':
                 this.sendToHost({ type: 'pong', ts: msg.ts });
                 return;
@@ -361,6 +664,57 @@ export class NetworkManager {
         if (this.onMessage) this.onMessage('host', msg);
     }
 
+    /** Host: a message that failed its schema.  Too many and the peer is cut off. */
+    _handleBadMessage(peerId, error) {
+        const peer = this.peers.get(peerId);
+        if (!peer) return;
+        if (!peer.name) {
+            // Can't even say hello properly — most likely a stale page
+            this.rejectPeer(peerId, 'The host couldn\'t understand your game. Please refresh and try again.');
+            return;
+        }
+        peer.badMessages = (peer.badMessages ?? 0) + 1;
+        if (peer.badMessages > MAX_BAD_MESSAGES) {
+            if (this.onError) this.onError(`Disconnected ${peer.name}: their game kept sending bad messages (${error}).`);
+            this._handlePeerDisconnect(peerId);
+        }
+    }
+
+    /**
+     * Host: is a name already used by us or by another peer?  Case and
+     * surrounding spaces don't count.  The connection a rejoining peer
+     * replaces doesn't count either.
+     */
+    _nameTaken(name, peerId, previousId) {
+        const key = name.trim().toLowerCase();
+        if (this.localName.trim().toLowerCase() === key) return true;
+        for (const [id, p] of this.peers) {
+            if (id !== peerId && id !== previousId && p.name?.trim().toLowerCase() === key) return true;
+        }
+        return false;
+    }
+
+    /** Host: tell a peer why it can't join, then hang up. */
+    rejectPeer(peerId, reason) {
+        this.sendToPeer(peerId, { type: 'reject', version: PROTOCOL_VERSION, reason });
+        setTimeout(() => this._dropPeer(peerId), REJECT_CLOSE_MS);
+    }
+
+    /** Peer: the host turned us away. */
+    _rejected(reason) {
+        this.close();
+        if (this.onRejected) this.onRejected(reason);
+    }
+
+    /** Close a connection that has been replaced, without reporting a disconnect. */
+    _dropPeer(peerId) {
+        const peer = this.peers.get(peerId);
+        if (!peer) return;
+        this.peers.delete(peerId);
+        try { peer.ch?.close(); } catch { /* */ }
+        try { peer.pc?.close(); } catch { /* */ }
+    }
+
     /** Handle a peer disconnecting (host side). */
     _handlePeerDisconnect(peerId) {
         const peer = this.peers.get(peerId);
@@ -0,0 +1,231 @@
+/**
+ * Custom word packs for VAGUE — parsing, validation and export.
+ *
+ * A pack is a name plus a list of `{ word, hint, difficulty?, decoy? }`
+ * entries, the same shape as the built-in categories in data/words.js.  Packs can be read from and
+ * written to JSON or CSV.  No DOM or game state here.
+ */
+
+import { difficultyLevels } from '../data/words.js';
+import { normaliseWord, slugify } from './utils.js';
+
+/* ── Limits ────────────────────────────────────────────────── */
+
+export const MAX_PACK_WORDS  = 500;
+export const MAX_FIELD_CHARS = 40;
+export const MIN_PACK_WORDS  = 1;
+
+/* ── Validation ────────────────────────────────────────────── */
+
+/**
+ * Check a pack's entries.  Every problem is reported, not just the first.
+ * @param {{ word:string, hint:string, difficulty?:string, decoy?:string }[]} words
+ * @returns {string[]} error messages (empty when valid)
+ */
+export function validatePackWords(words) {
+    const errors = [];
+    if (!Array.isArray(words) || words.length < MIN_PACK_WORDS) {
+        return ['The pack has no words.'];
+    }
+    if (words.length > MAX_PACK_WORDS) {
+        errors.push(`The pack has ${words.length} words; the limit is ${MAX_PACK_WORDS}.`);
+    }
+
+    const seen = new Map();   // normalised word -> entry number
+    words.forEach((entry, i) => {
+        const n = i + 1;
+        const word = entry.word;
+        const hint = entry.hint;
+
+        if (!word) { errors.push(`Entry ${n}: missing word.`); return; }
+        if (!hint) errors.push(`Entry ${n} ("${word}"): missing hint.`);
+        if (word.length > MAX_FIELD_CHARS) errors.push(`Entry ${n} ("${word}"): word is longer than ${MAX_FIELD_CHARS} characters.`);
+        if (hint && hint.length > MAX_FIELD_CHARS) errors.push(`Entry ${n} ("${word}"): hint is longer than ${MAX_FIELD_CHARS} characters.`);
+        if (entry.difficulty && !difficultyLevels.includes(entry.difficulty)) {
+            errors.push(`Entry ${n} ("${word}"): difficulty must be ${difficultyLevels.join(', ')} or empty.`);
+        }
+        if (entry.decoy && entry.decoy.length > MAX_FIELD_CHARS) {
+            errors.push(`Entry ${n} ("${word}"): decoy is longer than ${MAX_FIELD_CHARS} characters.`);
+        }
+        if (entry.decoy && normaliseWord(entry.decoy).join('') === normaliseWord(word).join('')) {
+            errors.push(`Entry ${n} ("${word}"): the decoy must be a different word.`);
+        }
+
+        const key = normaliseWord(word).join('');
+        if (seen.has(key)) {
+            errors.push(`Entry ${n} ("${word}"): duplicate of entry ${seen.get(key)}.`);
+        } else {
+            seen.set(key, n);
+        }
+
+        if (hint && hintContainsWord(hint, word)) {
+            errors.push(`Entry ${n} ("${word}"): the hint "${hint}" gives away the word.`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * The entries of a stored pack that still pass validation, cleaned.  A
+ * hand-edited or corrupt entry is dropped instead of failing the whole pack.
+ * @param {unknown} words
+ * @returns {{ word:string, hint:string, difficulty?:string, decoy?:string }[]}
+ */
+export function keepValidWords(words) {
+    if (!Array.isArray(words)) return [];
+    const seen = new Set();   // normalised words kept so far
+    return words
+        .filter(raw => typeof raw?.word === 'string' && typeof raw.hint === 'string')
+        .map(cleanEntry)
+        .filter(entry => {
+            const key = normaliseWord(entry.word).join('');
+            if (seen.has(key) || validatePackWords([entry]).length) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, MAX_PACK_WORDS);
+}
+
+/** Does the hint contain the word (as whole words, ignoring case / plurals)? */
+function hintContainsWord(hint, word) {
+    const h = normaliseWord(hint);
+    const w = normaliseWord(word);
+    if (!w.length) return false;
+    if (h.join('') === w.join('')) return true;
+    for (let i = 0; i + w.length <= h.length; i++) {
+        if (w.every((t, j) => h[i + j] === t)) return true;
+    }
+    return false;
+}
+
+/**
+ * Check a pack name.
+ * @returns {string|null} error or null
+ */
+export function validatePackName(name) {
+    const n = String(name ?? '').trim();
+    if (!n) return 'The pack needs a name.';
+    if (n.length > MAX_FIELD_CHARS) return `Pack names are limited to ${MAX_FIELD_CHARS} characters.`;
+    return null;
+}
+
+/** Trim an entry down to the fields a pack keeps; difficulty and decoy are optional. */
+function cleanEntry(raw) {
+    const entry = {
+        word: String(raw?.word ?? '').trim(),
+        hint: String(raw?.hint ?? '').trim(),
+    };
+    const difficulty = String(raw?.difficulty ?? '').trim().toLowerCase();
+    const decoy = String(raw?.decoy ?? '').trim();
+    if (difficulty) entry.difficulty = difficulty;
+    if (decoy) entry.decoy = decoy;
+    return entry;
+}
+
+/* ── Import ────────────────────────────────────────────────── */
+
+/**
+ * Parse an uploaded pack file.  JSON may be `{ name, words: [...] }` or a
+ * bare array; CSV is `word,hint[,difficulty[,decoy]]` rows with an optional header.  The file
+ * name (minus extension) is the fallback pack name.
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {{ pack:{ name:string, words:{word:string,hint:string,difficulty?:string,decoy?:string}[] }|null, errors:string[] }}
+ */
+export function parsePackFile(fileName, text) {
+    text = text.replace(/^\uFEFF/, '');   // byte-order mark, as spreadsheet apps save UTF-8
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+
+    let name = baseName;
+    let rawWords;
+    try {
+        if (isJson) {
+            const data = JSON.parse(text);
+            if (Array.isArray(data)) {
+                rawWords = data;
+            } else if (data && Array.isArray(data.words)) {
+                rawWords = data.words;
+                if (data.name) name = String(data.name);
+            } else {
+                return { pack: null, errors: ['JSON must be a list of { word, hint } or { name, words: [...] }.'] };
+            }
+        } else {
+            rawWords = parseCSV(text);
+        }
+    } catch (e) {
+        return { pack: null, errors: [`Could not read ${isJson ? 'JSON' : 'CSV'}: ${e.message}`] };
+    }
+
+    const words = rawWords.map(cleanEntry);
+    const nameErr = validatePackName(name);
+    const errors = [...(nameErr ? [nameErr] : []), ...validatePackWords(words)];
+    return errors.length ? { pack: null, errors } : { pack: { name: name.trim(), words }, errors };
+}
+
+/**
+ * Parse `word,hint[,difficulty[,decoy]]` CSV rows.  Handles quoted fields,
+ * escaped quotes ("") and an optional `word,hint,difficulty,decoy` header.
+ * @param {string} text
+ * @returns {{ word:string, hint:string, difficulty:string|undefined, decoy:string|undefined }[]}
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [], field = '', quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else field += c;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field); field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); rows.push(row);
+            row = []; field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (quoted) throw new Error('unterminated quote');
+    if (field || row.length) { row.push(field); rows.push(row); }
+
+    const body = rows.filter(r => r.some(f => f.trim()));
+    if (body.length && body[0][0]?.trim().toLowerCase() === 'word') body.shift();
+    return body.map(([word, hint, difficulty, decoy]) => ({ word, hint, difficulty, decoy }));
+}
+
+/* ── Export ────────────────────────────────────────────────── */
+
+/**
+ * @param {string} name
+ * @param {{ word:string, hint:string, difficulty?:string, decoy?:string }[]} words
+ * @returns {string}
+ */
+export function packToJSON(name, words) {
+    return JSON.stringify({ name, words: words.map(cleanEntry) }, null, 2);
+}
+
+/**
+ * @param {{ word:string, hint:string, difficulty?:string, decoy?:string }[]} words
+ * @returns {string}
+ */
+export function packToCSV(words) {
+    const quote = (v) => (/[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+    const lines = words.map(cleanEntry)
+        .map(w => `${quote(w.word)},${quote(w.hint)},${w.difficulty ?? ''},${quote(w.decoy ?? '')}`);
+    return ['word,hint,difficulty,decoy', ...lines].join('\n') + '\n';
+}
+
+/**
+ * File-system friendly version of a pack name.
+ * @param {string} name
+ * @returns {string}
+ */
+export function packFileName(name) {
+    return slugify(name) || 'word-pack';
+}
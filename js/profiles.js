@@ -0,0 +1,99 @@
+/**
+ * Player profiles for VAGUE — a name plus a colour and an emoji avatar,
+ * saved between games so regulars can be picked instead of retyped.
+ * Pure functions over a plain array; storage is up to the caller.
+ */
+
+import { checksum } from './utils.js';
+
+/** Colours a profile can use, in the order the pickers list them. */
+export const PROFILE_COLOURS = Object.freeze([
+    { value: '#e74c3c', label: 'Red' },
+    { value: '#e67e22', label: 'Orange' },
+    { value: '#f1c40f', label: 'Yellow' },
+    { value: '#2ecc71', label: 'Green' },
+    { value: '#1abc9c', label: 'Teal' },
+    { value: '#3498db', label: 'Blue' },
+    { value: '#9b59b6', label: 'Purple' },
+    { value: '#e84393', label: 'Pink' },
+]);
+
+/** Emoji avatars; '' means the generated one (the name's initial). */
+export const PROFILE_EMOJIS = Object.freeze([
+    '🦊', '🐙', '🐸', '🦉', '🐼', '🦄', '🐢', '🐝', '🦁', '🐧', '👽', '🤖', '🎃', '🌵', '🍕', '⭐',
+]);
+
+/** Saved profiles beyond this many drop the least recently used. */
+export const MAX_PROFILES = 40;
+
+/** Longest player name a profile (and a game) accepts. */
+export const MAX_NAME_LENGTH = 24;
+
+/**
+ * The look a player gets without a saved profile: a colour picked from
+ * their name, so it stays the same on every device, and no emoji.
+ * @param {string} name
+ * @returns {{ name:string, colour:string, emoji:string }}
+ */
+export function defaultProfile(name) {
+    const idx = parseInt(checksum(name.toLowerCase()), 16) % PROFILE_COLOURS.length;
+    return { name, colour: PROFILE_COLOURS[idx].value, emoji: '' };
+}
+
+/**
+ * Clean up a profile from storage or the network.  Unknown colours and
+ * emoji fall back to the defaults.
+ * @param {*} raw
+ * @returns {{ name:string, colour:string, emoji:string }|null} null if it has no usable name
+ */
+export function normaliseProfile(raw) {
+    const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) return null;
+    const fallback = defaultProfile(name);
+    return {
+        name,
+        colour: PROFILE_COLOURS.some(c => c.value === raw.colour) ? raw.colour : fallback.colour,
+        emoji:  PROFILE_EMOJIS.includes(raw.emoji) ? raw.emoji : '',
+    };
+}
+
+/**
+ * What to draw in a player's avatar: their emoji, or their initial.
+ * @param {{ name:string, emoji:string }} profile
+ * @returns {string}
+ */
+export function avatarFor(profile) {
+    return profile.emoji || ([...profile.name][0] ?? '?').toUpperCase();
+}
+
+/**
+ * Save a profile, replacing any with the same name (case-insensitive),
+ * and move it to the front as the most recently used.
+ * @param {object[]} profiles
+ * @param {object} profile
+ * @returns {object[]} a new array
+ */
+export function upsertProfile(profiles, profile) {
+    const p = normaliseProfile(profile);
+    if (!p) return profiles;
+    return [p, ...profiles.filter(x => x.name.toLowerCase() !== p.name.toLowerCase())].slice(0, MAX_PROFILES);
+}
+
+/**
+ * @param {object[]} profiles
+ * @param {string} name
+ * @returns {object[]} a new array without that name
+ */
+export function removeProfile(profiles, name) {
+    return profiles.filter(x => x.name.toLowerCase() !== name.toLowerCase());
+}
+
+/**
+ * @param {object[]} profiles
+ * @param {string} name
+ * @returns {object|null} the saved profile with that name, if any
+ */
+export function findProfile(profiles, name) {
+    const n = name.trim().toLowerCase();
+    return profiles.find(x => x.name.toLowerCase() === n) ?? null;
+}
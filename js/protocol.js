@@ -0,0 +1,220 @@
+/**
+ * Message protocol for VAGUE online games: the version both sides must
+ * share, and a schema for every message type.  net.js checks each
+ * incoming message against these before anything else sees it, so a
+ * stale or hostile peer can't crash or confuse the app with missing
+ * fields, wrong types or oversized payloads.
+ */
+
+import { Phase, PeerAction, MAX_CLUE_LENGTH } from './game.js';
+import { MAX_NAME_LENGTH } from './profiles.js';
+
+/** Bump whenever a message changes shape.  Checked at hello / welcome. */
+export const PROTOCOL_VERSION = 6;
+
+/** Who sent a message. */
+export const Sender = Object.freeze({
+    HOST: 'host',
+    PEER: 'peer',
+});
+
+/** Longest raw message accepted, in characters.  The host's carry whole game states. */
+export const MAX_MESSAGE_CHARS = Object.freeze({
+    [Sender.HOST]: 512 * 1024,
+    [Sender.PEER]: 16 * 1024,
+});
+
+const MAX_LIST      = 64;     // players, spectators, votes...
+const MAX_TEXT      = 200;    // error messages, reasons, role text
+const MAX_GUESS     = 60;
+const MAX_TOKEN     = 128;    // IDs, session tokens, keys
+const MAX_SEALED    = 256 * 1024;
+
+/* ── Field checks ──────────────────────────────────────────── */
+
+const isString  = (max) => v => typeof v === 'string' && v.length <= max;
+const isName    = v => typeof v === 'string' && v.trim().length > 0 && v.length <= MAX_NAME_LENGTH;
+const isInt     = (min, max) => v => Number.isInteger(v) && v >= min && v <= max;
+const isNumber  = v => typeof v === 'number' && Number.isFinite(v);
+const isBool    = v => typeof v === 'boolean';
+const isObject  = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const oneOf     = (...values) => v => values.includes(v);
+const optional  = check => v => v === undefined || v === null || check(v);
+const arrayOf   = (check, max = MAX_LIST) => v => Array.isArray(v) && v.length <= max && v.every(check);
+const recordOf  = (check, max = MAX_LIST) => v => isObject(v) && Object.keys(v).length <= max
+    && Object.entries(v).every(([k, x]) => k.length <= MAX_NAME_LENGTH && check(x));
+
+/** An object whose listed fields all pass; other fields are ignored. */
+function shape(fields) {
+    return v => isObject(v) && firstBadField(v, fields) === null;
+}
+
+function firstBadField(obj, fields) {
+    return Object.keys(fields).find(f => !fields[f](obj[f])) ?? null;
+}
+
+const seat = isInt(-1, MAX_LIST);
+
+const roleView = shape({
+    title:      isString(MAX_TEXT),
+    isImposter: isBool,
+    word:       optional(isString(MAX_TEXT)),
+    hint:       optional(isString(MAX_TEXT)),
+    note:       optional(isString(MAX_TEXT)),
+    partners:   optional(arrayOf(isName)),
+});
+
+const clue = shape({ player: isName, text: isString(MAX_CLUE_LENGTH) });
+
+/** The host's commitments for a match (see js/fairness.js). */
+const fairness = shape({
+    seedCommit:    isString(MAX_TOKEN),
+    outcomeCommit: isString(MAX_TOKEN),
+    entropy:       recordOf(isString(MAX_TOKEN)),
+    hostSeed:      isBool,
+});
+
+/** What serialiseForSync() produces. */
+const syncState = shape({
+    players:             arrayOf(isName),
+    profiles:            optional(recordOf(isObject)),
+    absentSeats:         optional(arrayOf(seat)),
+    categories:          optional(arrayOf(isString(MAX_TEXT))),
+    difficulty:          optional(isString(MAX_TEXT)),
+    variant:             optional(isString(MAX_TEXT)),
+    currentPhase:        oneOf(...Object.values(Phase)),
+    round:               isInt(0, 1000),
+    currentPlayerIndex:  seat,
+    cluePlayerIndex:     seat,
+    startingPlayerIndex: seat,
+    clues:               optional(arrayOf(arrayOf(clue), 1000)),
+    debateRequests:      optional(arrayOf(seat)),
+    timerSeconds:        isNumber,
+    timerRunning:        isBool,
+    timerLimit:          optional(isNumber),
+    voteCandidates:      optional(arrayOf(seat)),
+    votedIndices:        optional(arrayOf(seat)),
+    isRevote:            optional(isBool),
+    eliminatedIndex:     optional(seat),
+    outcome:             optional(isObject),
+    scores:              optional(recordOf(isNumber)),
+    matchesPlayed:       optional(isInt(0, 1e6)),
+});
+
+/* ── Schemas ───────────────────────────────────────────────── */
+
+const COMMON = {
+    ping:       { ts: isNumber },
+    pong:       { ts: isNumber },
+    error:      { message: optional(isString(MAX_TEXT)) },
+    disconnect: { reason: optional(isString(MAX_TEXT)) },
+    escrow_key: { key: isString(MAX_TOKEN) },
+};
+
+/** Message type -> required fields, by who may send it. */
+const SCHEMAS = Object.freeze({
+    [Sender.PEER]: {
+        ...COMMON,
+        hello: {
+            version:   isInt(0, 1e6),
+            name:      isName,
+            profile:   optional(isObject),
+            spectator: optional(isBool),
+            token:     optional(isString(MAX_TOKEN)),
+        },
+        ready: { name: optional(isString(MAX_NAME_LENGTH)) },
+        resync_request: { checksum: isString(MAX_TOKEN), expected: isString(MAX_TOKEN) },
+        entropy:        { seedCommit: isString(MAX_TOKEN), entropy: isString(MAX_TOKEN) },
+        input: {
+            action: oneOf(...Object.values(PeerAction)),
+            text:   optional(isString(Math.max(MAX_CLUE_LENGTH, MAX_GUESS) * 2)),
+            target: optional(seat),
+        },
+    },
+    [Sender.HOST]: {
+        ...COMMON,
+        welcome: { version: isInt(0, 1e6), peerId: isString(MAX_TOKEN), token: isString(MAX_TOKEN) },
+        reject:  { version: isInt(0, 1e6), reason: isString(MAX_TEXT) },
+        lobby_update: {
+            players:       arrayOf(isName),
+            profiles:      optional(recordOf(isObject)),
+            spectators:    optional(arrayOf(isName)),
+            scores:        optional(recordOf(isNumber)),
+            matchesPlayed: optional(isInt(0, 1e6)),
+            seedCommit:    optional(isString(MAX_TOKEN)),
+        },
+        game_start: {
+            players:    arrayOf(isName),
+            profiles:   optional(recordOf(isObject)),
+            categories: optional(arrayOf(isString(MAX_TEXT))),
+            difficulty: optional(isString(MAX_TEXT)),
+            variant:    optional(isString(MAX_TEXT)),
+            role:       roleView,
+            fairness:   optional(fairness),
+        },
+        spectate:     { state: syncState },
+        rejoin:       { name: isName, state: syncState, role: roleView, fairness: optional(fairness) },
+        succession:   { backup: optional(isName), keyHolder: optional(isName) },
+        escrow:       { sealed: shape({ iv: isString(MAX_TOKEN), data: isString(MAX_SEALED) }) },
+        phase_change: { phase: oneOf(...Object.values(Phase)), state: syncState },
+        sync:         { state: syncState, checksum: isString(MAX_TOKEN) },
+        resync:       { state: syncState, checksum: isString(MAX_TOKEN), role: optional(roleView) },
+        timer:        { seconds: isNumber, running: isBool, limit: optional(isNumber) },
+        reveal: {
+            secret:    isString(MAX_TOKEN),
+            salt:      isString(MAX_TOKEN),
+            seed:      isString(MAX_TEXT),
+            word:      isString(MAX_TEXT),
+            decoy:     optional(isString(MAX_TEXT)),
+            imposters: arrayOf(seat),
+        },
+    },
+});
+
+/** The message each side opens with; it carries the protocol version. */
+const HANDSHAKE = Object.freeze({ [Sender.PEER]: 'hello', [Sender.HOST]: 'welcome' });
+
+/* ── Public API ────────────────────────────────────────────── */
+
+/**
+ * Parse and check one raw message.
+ * @param {*} raw      what the data channel delivered
+ * @param {string} from  a Sender
+ * @returns {{ msg: object|null, error: string|null }}
+ */
+export function parseMessage(raw, from) {
+    if (typeof raw !== 'string') return { msg: null, error: 'not text' };
+    if (raw.length > MAX_MESSAGE_CHARS[from]) return { msg: null, error: 'too large' };
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return { msg: null, error: 'not JSON' }; }
+    const error = validateMessage(msg, from);
+    return error ? { msg: null, error } : { msg, error: null };
+}
+
+/**
+ * @param {*} msg
+ * @param {string} from  a Sender
+ * @returns {string|null} what's wrong with it, or null if it's fine
+ */
+export function validateMessage(msg, from) {
+    if (!isObject(msg) || typeof msg.type !== 'string') return 'no type';
+    // A handshake from another version only needs its version, so it can be turned away politely
+    if (msg.type === HANDSHAKE[from] && isInt(0, 1e6)(msg.version) && msg.version !== PROTOCOL_VERSION) return null;
+    const schema = Object.hasOwn(SCHEMAS[from], msg.type) ? SCHEMAS[from][msg.type] : null;
+    if (!schema) return `unexpected "${msg.type.slice(0, 40)}" from ${from}`;
+    const bad = firstBadField(msg, schema);
+    return bad ? `"${msg.type}" has a bad "${bad}"` : null;
+}
+
+/**
+ * Why a peer on another protocol version can't play, worded for whoever
+ * has to refresh.
+ * @param {number} hostVersion
+ * @param {number} peerVersion
+ * @returns {string}
+ */
+export function versionMismatchReason(hostVersion, peerVersion) {
+    return hostVersion > peerVersion
+        ? `Please refresh — the host is on version ${hostVersion} and you're on version ${peerVersion}.`
+        : `The host's game is out of date (version ${hostVersion}, you have ${peerVersion}). Ask them to refresh.`;
+}
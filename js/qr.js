@@ -0,0 +1,336 @@
+/**
+ * QR code encoder for VAGUE invite codes — byte mode, error correction
+ * level M, versions 1–40, following ISO/IEC 18004.  Pure JS with no
+ * dependencies; encodeQR() returns a square matrix that render.js draws.
+ */
+
+/* ── Tables (level M, indexed by version) ──────────────────── */
+
+const ECC_CODEWORDS_PER_BLOCK = [
+    -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+];
+
+const NUM_ECC_BLOCKS = [
+    -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+];
+
+const ECL_BITS = 0;   // level M in the format information
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+/* ── Capacity ──────────────────────────────────────────────── */
+
+/** Modules left for data + error correction once the function patterns are drawn. */
+function numRawDataModules(ver) {
+    let result = (16 * ver + 128) * ver + 64;
+    if (ver >= 2) {
+        const numAlign = Math.floor(ver / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (ver >= 7) result -= 36;
+    }
+    return result;
+}
+
+function numDataCodewords(ver) {
+    return Math.floor(numRawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[ver] * NUM_ECC_BLOCKS[ver];
+}
+
+/* ── Reed–Solomon over GF(256), polynomial 0x11D ───────────── */
+
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(b => {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    });
+    return result;
+}
+
+/* ── Codewords ─────────────────────────────────────────────── */
+
+/** Mode indicator, length, the bytes, then terminator and padding to fill the version. */
+function dataCodewords(bytes, ver) {
+    const bits = [];
+    const push = (val, len) => { for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+    push(0b0100, 4);                          // byte mode
+    push(bytes.length, ver <= 9 ? 8 : 16);
+    bytes.forEach(b => push(b, 8));
+
+    const capacity = numDataCodewords(ver) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+    const result = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        result.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+    }
+    return result;
+}
+
+/** Split into blocks, add each block's error correction, and interleave. */
+function addEccAndInterleave(data, ver) {
+    const numBlocks      = NUM_ECC_BLOCKS[ver];
+    const blockEccLen    = ECC_CODEWORDS_PER_BLOCK[ver];
+    const rawCodewords   = Math.floor(numRawDataModules(ver) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen  = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(blockEccLen);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+        k += dat.length;
+        const ecc = rsRemainder(dat, divisor);
+        if (i < numShortBlocks) dat.push(0);   // placeholder, skipped below
+        blocks.push(dat.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+/* ── Matrix ────────────────────────────────────────────────── */
+
+function alignmentPositions(ver, size) {
+    if (ver === 1) return [];
+    const numAlign = Math.floor(ver / 7) + 2;
+    const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+}
+
+/** 15-bit format information: level, mask, BCH(15,5), XOR mask. */
+function formatBits(mask) {
+    const data = (ECL_BITS << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    return ((data << 10) | rem) ^ 0x5412;
+}
+
+/** 18-bit version information: version, BCH(18,6). */
+function versionBits(ver) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    return (ver << 12) | rem;
+}
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+class QrMatrix {
+    constructor(ver) {
+        this.ver  = ver;
+        this.size = ver * 4 + 17;
+        this.modules    = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    set(x, y, dark) {
+        this.modules[y][x]    = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const { size } = this;
+        for (let i = 0; i < size; i++) {
+            this.set(6, i, i % 2 === 0);
+            this.set(i, 6, i % 2 === 0);
+        }
+        this.drawFinder(3, 3);
+        this.drawFinder(size - 4, 3);
+        this.drawFinder(3, size - 4);
+
+        const align = alignmentPositions(this.ver, size);
+        const last = align.length - 1;
+        align.forEach((x, i) => align.forEach((y, j) => {
+            // Not on top of the three finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            this.drawAlignment(x, y);
+        }));
+
+        this.drawFormat(0);   // reserves the area; redrawn once the mask is chosen
+        if (this.ver >= 7) {
+            const bits = versionBits(this.ver);
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                this.set(a, b, dark);
+                this.set(b, a, dark);
+            }
+        }
+    }
+
+    /** 7×7 finder with its white separator, centred on (cx, cy). */
+    drawFinder(cx, cy) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx, y = cy + dy;
+                if (x < 0 || x >= this.size || y < 0 || y >= this.size) continue;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                this.set(x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    }
+
+    drawAlignment(cx, cy) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    drawFormat(mask) {
+        const { size } = this;
+        const bits = formatBits(mask);
+        const bit = i => ((bits >>> i) & 1) === 1;
+        for (let i = 0; i <= 5; i++) this.set(8, i, bit(i));
+        this.set(8, 7, bit(6));
+        this.set(8, 8, bit(7));
+        this.set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i));
+        for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(i));
+        this.set(8, size - 8, true);   // the dark module
+    }
+
+    /** Zig-zag the codewords through every non-function module, bottom-right first. */
+    drawCodewords(codewords) {
+        const { size } = this;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;   // skip the vertical timing pattern
+            const upward = ((right + 1) & 2) === 0;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (this.isFunction[y][x] || i >= codewords.length * 8) continue;
+                    this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    i++;
+                }
+            }
+        }
+    }
+
+    /** XOR a mask over the data modules (applying it twice undoes it). */
+    applyMask(mask) {
+        const test = MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && test(x, y)) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    /** Lower is easier to scan: long runs, 2×2 blocks, finder look-alikes and colour imbalance cost. */
+    penalty() {
+        const { size, modules } = this;
+        let score = 0;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) { run++; continue; }
+                if (run >= 5) score += 3 + (run - 5);
+                run = 1;
+            }
+            const str = line.map(d => (d ? '1' : '0')).join('');
+            for (let i = str.indexOf('1011101'); i !== -1; i = str.indexOf('1011101', i + 1)) {
+                const before = str.slice(Math.max(0, i - 4), i);
+                const after  = str.slice(i + 7, i + 11);
+                if (before === '0000' || after === '0000') score += 40;
+            }
+        });
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const c = modules[y][x];
+                    if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+                }
+            }
+        }
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    }
+}
+
+/* ── Public API ────────────────────────────────────────────── */
+
+/**
+ * Encode text (as UTF-8) into the smallest QR code that holds it.
+ * @param {string} text
+ * @returns {boolean[][]|null} rows of modules, true = dark; null if it's too long for any version
+ */
+export function encodeQR(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let ver = MIN_VERSION;
+    const fits = v => 4 + (v <= 9 ? 8 : 16) + bytes.length * 8 <= numDataCodewords(v) * 8;
+    while (ver <= MAX_VERSION && !fits(ver)) ver++;
+    if (ver > MAX_VERSION) return null;
+
+    const qr = new QrMatrix(ver);
+    qr.drawFunctionPatterns();
+    qr.drawCodewords(addEccAndInterleave(dataCodewords(bytes, ver), ver));
+
+    let best = 0, bestScore = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        qr.applyMask(mask);
+        qr.drawFormat(mask);
+        const score = qr.penalty();
+        if (score < bestScore) { best = mask; bestScore = score; }
+        qr.applyMask(mask);
+    }
+    qr.applyMask(best);
+    qr.drawFormat(best);
+    return qr.modules;
+}
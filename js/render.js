@@ -5,7 +5,11 @@
  * No game logic here — only presentation.
  */
 
-import { escapeHtml, formatTime } from './utils.js';
+import { formatTime } from './utils.js';
+import { RANDOM_MIX } from './game.js';
+import { PROFILE_COLOURS, PROFILE_EMOJIS, avatarFor } from './profiles.js';
+import { encodeQR } from './qr.js';
+import { Verdict } from './fairness.js';
 
 /* ── Screen map (populated once on init) ───────────────────── */
 
@@ -14,9 +18,9 @@ const screens = {};  // key -> HTMLElement
 /** Initialise screen map from DOM.  Call once after DOMContentLoaded. */
 export function initScreens() {
     const ids = [
-        'menu', 'setup', 'reveal', 'discussion', 'results',
+        'menu', 'setup', 'reveal', 'discussion', 'vote', 'guess', 'results',
         'multiplayer', 'host-lobby', 'join-lobby', 'settings',
-        'online-reveal',
+        'online-reveal', 'packs', 'stats',
     ];
     ids.forEach(key => {
         const el = document.getElementById(`${key}-screen`);
@@ -39,6 +43,11 @@ export function showScreen(key) {
     }
 }
 
+/** Is this the screen currently shown? */
+export function isScreenActive(key) {
+    return !!screens[key]?.classList.contains('active');
+}
+
 /* ── Cached DOM references (set once on init) ──────────────── */
 
 let el = {};  // filled by initElements()
@@ -49,7 +58,24 @@ export function initElements() {
         playerInput:       document.getElementById('player-input'),
         playerList:        document.getElementById('player-list'),
         addPlayerBtn:      document.getElementById('add-player-btn'),
-        categorySelect:    document.getElementById('category-select'),
+        playerColourSelect: document.getElementById('player-colour-select'),
+        playerEmojiSelect: document.getElementById('player-emoji-select'),
+        savedProfiles:     document.getElementById('saved-profiles'),
+        profileNameList:   document.getElementById('profile-names'),
+        categoryPicker:    document.getElementById('category-picker'),
+        difficultySelect:  document.getElementById('difficulty-select'),
+        rolePicker:        document.getElementById('role-picker'),
+        variantSelect:     document.getElementById('variant-select'),
+        importPackBtn:     document.getElementById('import-pack-btn'),
+        packFileInput:     document.getElementById('pack-file-input'),
+        packStatus:        document.getElementById('pack-status'),
+        tieRuleSelect:     document.getElementById('tie-rule-select'),
+        clueTimerSelect:   document.getElementById('clue-timer-select'),
+        debateTimerSelect: document.getElementById('debate-timer-select'),
+        imposterCountSelect: document.getElementById('imposter-count-select'),
+        showPartnersCheck: document.getElementById('show-partners-check'),
+        seedInput:         document.getElementById('seed-input'),
+        imposterCapHint:   document.getElementById('imposter-cap-hint'),
         beginGameBtn:      document.getElementById('begin-game-btn'),
 
         // Reveal
@@ -61,6 +87,8 @@ export function initElements() {
         roleType:          document.getElementById('role-type'),
         secretWord:        document.getElementById('secret-word'),
         imposterHint:      document.getElementById('imposter-hint'),
+        roleNote:          document.getElementById('role-note'),
+        imposterPartners:  document.getElementById('imposter-partners'),
         nextPlayerBtn:     document.getElementById('next-player-btn'),
 
         // Discussion
@@ -71,33 +99,88 @@ export function initElements() {
         timerToggleBtn:    document.getElementById('timer-toggle-btn'),
         timerResetBtn:     document.getElementById('timer-reset-btn'),
         clueNextBtn:       document.getElementById('clue-next-btn'),
+        peerActions:       document.getElementById('peer-actions'),
+        peerClueDoneBtn:   document.getElementById('peer-clue-done-btn'),
+        peerDebateBtn:     document.getElementById('peer-debate-btn'),
+        peerPauseBtn:      document.getElementById('peer-pause-btn'),
+        hostInviteBtn:     document.getElementById('host-invite-btn'),
+        diagnosticsBtn:    document.getElementById('diagnostics-btn'),
+        diagnosticsPanel:  document.getElementById('diagnostics-panel'),
+        diagnosticsSummary:document.getElementById('diagnostics-summary'),
+        diagnosticsLinks:  document.getElementById('diagnostics-links'),
+        diagnosticsEvents: document.getElementById('diagnostics-events'),
+        diagnosticsEmpty:  document.getElementById('diagnostics-empty'),
+        clueEntry:         document.getElementById('clue-entry'),
+        clueInput:         document.getElementById('clue-input'),
+        clueSubmitBtn:     document.getElementById('clue-submit-btn'),
+        clueBoard:         document.getElementById('clue-board'),
         postDiscussionOpts:document.getElementById('post-discussion-options'),
         nextRoundBtn:      document.getElementById('next-round-btn'),
         finishMissionBtn:  document.getElementById('finish-mission-btn'),
 
+        // Vote
+        voteTitle:         document.getElementById('vote-title'),
+        voteVoterName:     document.getElementById('vote-voter-name'),
+        voteInstruction:   document.getElementById('vote-instruction'),
+        voteOptions:       document.getElementById('vote-options'),
+        voteProgress:      document.getElementById('vote-progress'),
+        voteCloseBtn:      document.getElementById('vote-close-btn'),
+
+        // Guess
+        guessPlayerName:   document.getElementById('guess-player-name'),
+        guessInstruction:  document.getElementById('guess-instruction'),
+        guessForm:         document.getElementById('guess-form'),
+        guessInput:        document.getElementById('guess-input'),
+        guessSubmitBtn:    document.getElementById('guess-submit-btn'),
+        guessSkipBtn:      document.getElementById('guess-skip-btn'),
+
         // Results
         finalResultsText:  document.getElementById('final-results-text'),
+        resultsReason:     document.getElementById('results-reason'),
+        resultsGuess:      document.getElementById('results-guess'),
+        resultsSeed:       document.getElementById('results-seed'),
+        fairnessBadge:     document.getElementById('fairness-badge'),
+        resultsTally:      document.getElementById('results-tally'),
+        resultsScoreboard: document.getElementById('results-scoreboard'),
         restartGameBtn:    document.getElementById('restart-game-btn'),
 
         // Multiplayer
         hostNameInput:     document.getElementById('host-name-input'),
-        hostCategorySelect:document.getElementById('host-category-select'),
+        hostCategoryPicker:document.getElementById('host-category-picker'),
+        hostDifficultySelect: document.getElementById('host-difficulty-select'),
+        hostRolePicker:    document.getElementById('host-role-picker'),
+        hostVariantSelect: document.getElementById('host-variant-select'),
+        hostTieRuleSelect: document.getElementById('host-tie-rule-select'),
+        hostClueTimerSelect:   document.getElementById('host-clue-timer-select'),
+        hostDebateTimerSelect: document.getElementById('host-debate-timer-select'),
+        hostImposterCountSelect: document.getElementById('host-imposter-count-select'),
+        hostShowPartnersCheck: document.getElementById('host-show-partners-check'),
+        hostSeedInput:     document.getElementById('host-seed-input'),
         offerCodeArea:     document.getElementById('offer-code-area'),
+        offerQr:           document.getElementById('offer-qr'),
         copyOfferBtn:      document.getElementById('copy-offer-btn'),
         answerPasteArea:   document.getElementById('answer-paste-area'),
         acceptAnswerBtn:   document.getElementById('accept-answer-btn'),
         generateOfferBtn:  document.getElementById('generate-offer-btn'),
+        hostServerInput:   document.getElementById('host-server-input'),
+        hostRoomCode:      document.getElementById('host-room-code'),
         hostPlayerList:    document.getElementById('host-player-list'),
         hostStartBtn:      document.getElementById('host-start-btn'),
         hostStatus:        document.getElementById('host-status'),
+        hostScoreboard:    document.getElementById('host-scoreboard'),
 
         joinNameInput:     document.getElementById('join-name-input'),
+        joinSpectateCheck: document.getElementById('join-spectate-check'),
         offerPasteArea:    document.getElementById('offer-paste-area'),
         generateAnswerBtn: document.getElementById('generate-answer-btn'),
+        joinRoomInput:     document.getElementById('join-room-input'),
+        joinServerInput:   document.getElementById('join-server-input'),
         answerCodeArea:    document.getElementById('answer-code-area'),
+        answerQr:          document.getElementById('answer-qr'),
         copyAnswerBtn:     document.getElementById('copy-answer-btn'),
         joinStatus:        document.getElementById('join-status'),
         joinPlayerList:    document.getElementById('join-player-list'),
+        joinScoreboard:    document.getElementById('join-scoreboard'),
 
         // Online reveal
         onlinePlayerName:  document.getElementById('online-player-name'),
@@ -107,32 +190,184 @@ export function initElements() {
         onlineRoleType:    document.getElementById('online-role-type'),
         onlineSecretWord:  document.getElementById('online-secret-word'),
         onlineImposterHint:document.getElementById('online-imposter-hint'),
+        onlineRoleNote:    document.getElementById('online-role-note'),
+        onlineImposterPartners: document.getElementById('online-imposter-partners'),
         onlineReadyBtn:    document.getElementById('online-ready-btn'),
 
+        // Pack editor
+        packEditorSelect:  document.getElementById('pack-editor-select'),
+        packNewBtn:        document.getElementById('pack-new-btn'),
+        packDuplicateBtn:  document.getElementById('pack-duplicate-btn'),
+        packDeleteBtn:     document.getElementById('pack-delete-btn'),
+        exportJsonBtn:     document.getElementById('export-json-btn'),
+        exportCsvBtn:      document.getElementById('export-csv-btn'),
+        packNameInput:     document.getElementById('pack-name-input'),
+        packReadonlyNote:  document.getElementById('pack-readonly-note'),
+        packWordRows:      document.getElementById('pack-word-rows'),
+        packAddWordBtn:    document.getElementById('pack-add-word-btn'),
+        packEditorStatus:  document.getElementById('pack-editor-status'),
+        packSaveBtn:       document.getElementById('pack-save-btn'),
+
+        // Stats
+        statsEmpty:        document.getElementById('stats-empty'),
+        statsPlayers:      document.getElementById('stats-players'),
+        statsHistory:      document.getElementById('stats-history'),
+        statsExportBtn:    document.getElementById('stats-export-btn'),
+        statsClearBtn:     document.getElementById('stats-clear-btn'),
+
         // Toast
         toastContainer:    document.getElementById('toast-container'),
     };
+
+    [el.categoryPicker, el.hostCategoryPicker].forEach(picker => {
+        picker?.addEventListener('change', onPickerChange);
+    });
 }
 
 export function getEl() { return el; }
 
+/* ── Menu ──────────────────────────────────────────────────── */
+
+/** Show or hide the menu's resume buttons. */
+export function setResumeOptions(hasGame, hasLobby) {
+    const game  = document.getElementById('resume-game-btn');
+    const lobby = document.getElementById('resume-lobby-btn');
+    if (game)  game.style.display  = hasGame ? 'block' : 'none';
+    if (lobby) lobby.style.display = hasLobby ? 'block' : 'none';
+}
+
+/* ── Player profiles ───────────────────────────────────────── */
+
+/** A round badge in the player's colour showing their emoji or initial. */
+function avatarBadge(profile) {
+    const badge = document.createElement('span');
+    badge.className = 'avatar';
+    badge.style.background = profile.colour;
+    badge.textContent = avatarFor(profile);
+    badge.setAttribute('aria-hidden', 'true');
+    return badge;
+}
+
+/** A list row's name: avatar, then the name, with the row edged in their colour. */
+function profileLabel(row, profile, text = profile.name) {
+    row.style.borderLeftColor = profile.colour;
+    const span = document.createElement('span');
+    span.className = 'player-name';
+    span.appendChild(avatarBadge(profile));
+    span.appendChild(document.createTextNode(text));
+    return span;
+}
+
+/** Replace a heading's text with the player's avatar and upper-cased name. */
+function showPlayerHeading(target, profile) {
+    if (!target) return;
+    target.textContent = '';
+    target.appendChild(avatarBadge(profile));
+    target.appendChild(document.createTextNode(profile.name.toUpperCase()));
+}
+
+/** Fill the setup screen's colour and emoji pickers.  Call once on init. */
+export function populateProfilePickers() {
+    if (el.playerColourSelect) {
+        el.playerColourSelect.innerHTML = '<option value="">Colour</option>';
+        PROFILE_COLOURS.forEach(({ value, label }) => {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = label;
+            opt.style.color = value;
+            el.playerColourSelect.appendChild(opt);
+        });
+    }
+    if (el.playerEmojiSelect) {
+        el.playerEmojiSelect.innerHTML = '<option value="">Initial</option>';
+        PROFILE_EMOJIS.forEach(emoji => {
+            const opt = document.createElement('option');
+            opt.value = emoji;
+            opt.textContent = emoji;
+            el.playerEmojiSelect.appendChild(opt);
+        });
+    }
+}
+
+/**
+ * The colour and emoji picked for the next player added.
+ * Empty values mean "use the defaults".
+ * @returns {{ colour:string, emoji:string }}
+ */
+export function getPickedLook() {
+    return { colour: el.playerColourSelect?.value ?? '', emoji: el.playerEmojiSelect?.value ?? '' };
+}
+
+/**
+ * Set the colour and emoji pickers, e.g. to a saved profile's look.
+ * @param {{ colour:string, emoji:string }|null} look  null clears them
+ */
+export function setPickedLook(look) {
+    if (el.playerColourSelect) el.playerColourSelect.value = look?.colour ?? '';
+    if (el.playerEmojiSelect)  el.playerEmojiSelect.value  = look?.emoji ?? '';
+}
+
+/**
+ * Render the saved profiles as quick-select chips on the setup screen,
+ * and offer their names as suggestions in every name field.
+ * @param {{ name:string, colour:string, emoji:string }[]} profiles
+ * @param {string[]} playing  names already in the game (their chips are hidden)
+ * @param {(profile:object)=>void} onPick
+ * @param {(name:string)=>void} onForget
+ */
+export function renderSavedProfiles(profiles, playing, onPick, onForget) {
+    if (el.profileNameList) {
+        el.profileNameList.innerHTML = '';
+        profiles.forEach(p => {
+            const opt = document.createElement('option');
+            opt.value = p.name;
+            el.profileNameList.appendChild(opt);
+        });
+    }
+    if (!el.savedProfiles) return;
+    el.savedProfiles.innerHTML = '';
+    const taken = playing.map(n => n.toLowerCase());
+    profiles.filter(p => !taken.includes(p.name.toLowerCase())).forEach(p => {
+        const chip = document.createElement('span');
+        chip.className = 'profile-chip';
+        chip.style.borderColor = p.colour;
+
+        const pick = document.createElement('button');
+        pick.className = 'profile-pick';
+        pick.appendChild(avatarBadge(p));
+        pick.appendChild(document.createTextNode(p.name));
+        pick.setAttribute('aria-label', `Add ${p.name}`);
+        pick.addEventListener('click', () => onPick(p));
+
+        const forget = document.createElement('button');
+        forget.className = 'remove-player';
+        forget.textContent = '\u00d7';
+        forget.setAttribute('aria-label', `Forget ${p.name}`);
+        forget.addEventListener('click', () => onForget(p.name));
+
+        chip.appendChild(pick);
+        chip.appendChild(forget);
+        el.savedProfiles.appendChild(chip);
+    });
+}
+
 /* ── Player list (setup screen) ────────────────────────────── */
 
 /**
  * Render the player list inside #player-list.
- * @param {string[]} players
+ * @param {{ name:string, colour:string, emoji:string }[]} players
  * @param {(index:number)=>void} onRemove
  */
 export function renderPlayerList(players, onRemove) {
     if (!el.playerList) return;
     el.playerList.innerHTML = '';
-    players.forEach((name, idx) => {
+    players.forEach((profile, idx) => {
+        const name = profile.name;
         const div = document.createElement('div');
         div.className = 'player-item';
         div.setAttribute('role', 'listitem');
 
-        const span = document.createElement('span');
-        span.textContent = name;
+        const span = profileLabel(div, profile);
 
         const removeBtn = document.createElement('button');
         removeBtn.className = 'remove-player';
@@ -146,11 +381,191 @@ export function renderPlayerList(players, onRemove) {
     });
 }
 
+/**
+ * Tell the setup screen how many imposters the current roster allows.
+ * @param {number} playerCount
+ * @param {number} max
+ */
+export function updateImposterCapHint(playerCount, max) {
+    if (!el.imposterCapHint) return;
+    el.imposterCapHint.textContent = playerCount < 3
+        ? 'Add at least 3 players.'
+        : `${playerCount} players — up to ${max} imposter${max === 1 ? '' : 's'}.`;
+}
+
+/* ── Category + role pickers ───────────────────────────────── */
+
+/**
+ * Fill both category checklists (setup + host lobby) with a "Random mix"
+ * box followed by one box per category.  Each keeps its current ticks
+ * when they still exist; with nothing ticked the first category is.
+ * @param {{ value:string, label:string }[]} options
+ * @param {string} [tick]  value to tick in both, e.g. a just-imported pack
+ */
+export function populateCategoryPickers(options, tick) {
+    const all = [{ value: RANDOM_MIX, label: 'Random mix' }, ...options];
+    [el.categoryPicker, el.hostCategoryPicker].forEach(picker => {
+        if (!picker) return;
+        const ticked = getCheckedValues(picker);
+        if (tick) ticked.push(tick);
+        if (!ticked.some(v => all.some(o => o.value === v))) ticked.push(options[0]?.value);
+        fillChecklist(picker, all, ticked);
+    });
+}
+
+/**
+ * Fill both special-role checklists (setup + host lobby), nothing ticked.
+ * @param {{ value:string, label:string }[]} options
+ */
+export function populateRolePickers(options) {
+    [el.rolePicker, el.hostRolePicker].forEach(picker => {
+        if (picker) fillChecklist(picker, options, []);
+    });
+}
+
+/** Replace a checklist's boxes, ticking the values in `ticked`. */
+function fillChecklist(container, options, ticked) {
+    container.innerHTML = '';
+    options.forEach(opt => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-row';
+        const box = document.createElement('input');
+        box.type    = 'checkbox';
+        box.value   = opt.value;
+        box.checked = ticked.includes(opt.value);
+        label.append(box, ` ${opt.label}`);
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Ticked values in a checklist — category keys ([RANDOM_MIX] for the mix)
+ * or role ids.
+ * @param {HTMLElement} container
+ * @returns {string[]}
+ */
+export function getCheckedValues(container) {
+    return [...container.querySelectorAll('input:checked')].map(box => box.value);
+}
+
+/** "Random mix" and individual categories exclude each other. */
+function onPickerChange(e) {
+    const box = e.target;
+    if (!box.checked) return;
+    e.currentTarget.querySelectorAll('input').forEach(other => {
+        if (other !== box && (box.value === RANDOM_MIX || other.value === RANDOM_MIX)) {
+            other.checked = false;
+        }
+    });
+}
+
+/** Replace a select's options, keeping `value` selected if it is still there. */
+function fillSelect(sel, options, value) {
+    sel.innerHTML = '';
+    options.forEach(opt => {
+        const o = document.createElement('option');
+        o.value = opt.value;
+        o.textContent = opt.label;
+        sel.appendChild(o);
+    });
+    if (options.some(o => o.value === value)) sel.value = value;
+}
+
+/**
+ * Show pack import problems under the category select (hidden when empty).
+ * @param {string[]} errors
+ */
+export function setPackStatus(errors) {
+    showErrorList(el.packStatus, errors);
+}
+
+/** Up to five errors, one per line, in a status paragraph. */
+function showErrorList(target, errors) {
+    if (!target) return;
+    const shown = errors.slice(0, 5);
+    if (errors.length > shown.length) shown.push(`…and ${errors.length - shown.length} more.`);
+    target.textContent   = shown.join('\n');
+    target.style.display = errors.length ? 'block' : 'none';
+}
+
+/* ── Pack editor ───────────────────────────────────────────── */
+
+/**
+ * Render the pack being edited.
+ * @param {{ key:string|null, name:string,
+ *           words:{word:string,hint:string,difficulty?:string,decoy?:string}[],
+ *           readOnly:boolean }} draft
+ * @param {{ value:string, label:string }[]} packOptions  every pack, for the picker
+ * @param {string[]} difficulties  tiers offered per word ('' = unset)
+ * @param {{ onEdit:(idx:number, field:'word'|'hint'|'decoy'|'difficulty', value:string)=>void,
+ *           onRemove:(idx:number)=>void }} handlers
+ */
+export function renderPackEditor(draft, packOptions, difficulties, handlers) {
+    if (el.packEditorSelect) {
+        const options = draft.key ? packOptions : [{ value: '', label: 'New pack…' }, ...packOptions];
+        fillSelect(el.packEditorSelect, options, draft.key ?? '');
+    }
+    if (el.packNameInput) {
+        el.packNameInput.value    = draft.name;
+        el.packNameInput.disabled = draft.readOnly;
+    }
+    if (el.packReadonlyNote) el.packReadonlyNote.style.display = draft.readOnly ? 'block' : 'none';
+    if (el.packDeleteBtn)    el.packDeleteBtn.disabled  = draft.readOnly || !draft.key;
+    if (el.packAddWordBtn)   el.packAddWordBtn.disabled = draft.readOnly;
+    if (el.packSaveBtn)      el.packSaveBtn.disabled    = draft.readOnly;
+    setPackEditorStatus([]);
+
+    if (!el.packWordRows) return;
+    el.packWordRows.innerHTML = '';
+    draft.words.forEach((entry, idx) => {
+        const row = document.createElement('div');
+        row.className = 'pack-word-row';
+        row.setAttribute('role', 'listitem');
+
+        const placeholders = { word: 'Word', hint: 'Hint', decoy: 'Decoy (optional)' };
+        Object.entries(placeholders).forEach(([field, placeholder]) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.maxLength = 40;
+            input.placeholder = placeholder;
+            input.value = entry[field] ?? '';
+            input.disabled = draft.readOnly;
+            input.setAttribute('aria-label', `${field[0].toUpperCase()}${field.slice(1)} ${idx + 1}`);
+            input.addEventListener('input', () => handlers.onEdit(idx, field, input.value));
+            row.appendChild(input);
+        });
+
+        const level = document.createElement('select');
+        level.disabled = draft.readOnly;
+        level.setAttribute('aria-label', `Difficulty ${idx + 1}`);
+        fillSelect(level, [{ value: '', label: '—' }, ...difficulties.map(d => ({ value: d, label: d }))],
+            entry.difficulty ?? '');
+        level.addEventListener('change', () => handlers.onEdit(idx, 'difficulty', level.value));
+        row.appendChild(level);
+
+        if (!draft.readOnly) {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-player';
+            removeBtn.textContent = '\u00d7';
+            removeBtn.setAttribute('aria-label', `Remove ${entry.word || `word ${idx + 1}`}`);
+            removeBtn.addEventListener('click', () => handlers.onRemove(idx));
+            row.appendChild(removeBtn);
+        }
+        el.packWordRows.appendChild(row);
+    });
+}
+
+/** Validation problems (or nothing) under the pack editor. */
+export function setPackEditorStatus(errors) {
+    showErrorList(el.packEditorStatus, errors);
+}
+
 /* ── Reveal screen (local pass-and-play) ───────────────────── */
 
-export function updateRevealScreen(playerName) {
+/** @param {{ name:string, colour:string, emoji:string }} player */
+export function updateRevealScreen(player) {
     if (el.roundDisplay)      el.roundDisplay.textContent = 'IDENTITY CHECK';
-    if (el.currentPlayerName) el.currentPlayerName.textContent = playerName.toUpperCase();
+    showPlayerHeading(el.currentPlayerName, player);
 
     // Reset reveal box
     if (el.tapInstruction) el.tapInstruction.style.display = 'block';
@@ -158,78 +573,88 @@ export function updateRevealScreen(playerName) {
     if (el.nextPlayerBtn)  el.nextPlayerBtn.style.display   = 'none';
 }
 
-export function showRole(isImposter, word, hint) {
+/**
+ * Show the local player's role.
+ * @param {{ title:string, isImposter:boolean, word:string|null, hint:string|null,
+ *           note:string|null, partners:string[] }} role
+ */
+export function showRole(role) {
     if (el.tapInstruction) el.tapInstruction.style.display = 'none';
     if (el.roleInfo)       el.roleInfo.style.display       = 'block';
 
-    if (isImposter) {
-        if (el.roleType) {
-            el.roleType.textContent = 'YOU ARE THE IMPOSTER';
-            el.roleType.className   = 'reveal-text imposter-text';
-        }
-        if (el.secretWord)    el.secretWord.textContent    = '???';
-        if (el.imposterHint) {
-            el.imposterHint.textContent = `HINT: ${escapeHtml(hint)}`;
-            el.imposterHint.style.display = 'block';
-        }
-    } else {
-        if (el.roleType) {
-            el.roleType.textContent = 'YOU ARE A CIVILIAN';
-            el.roleType.className   = 'reveal-text';
-        }
-        if (el.secretWord)    el.secretWord.textContent    = word.toUpperCase();
-        if (el.imposterHint)  el.imposterHint.style.display = 'none';
-    }
+    renderRole({
+        roleType: el.roleType, secretWord: el.secretWord,
+        hint: el.imposterHint, note: el.roleNote, partners: el.imposterPartners,
+    }, role);
 
     if (el.nextPlayerBtn) el.nextPlayerBtn.style.display = 'block';
 }
 
+/** Fill one reveal box — shared by the local and online reveal screens. */
+function renderRole(parts, role) {
+    if (parts.roleType) {
+        parts.roleType.textContent = role.title;
+        parts.roleType.className   = role.isImposter ? 'reveal-text imposter-text' : 'reveal-text';
+    }
+    if (parts.secretWord) parts.secretWord.textContent = role.word ? role.word.toUpperCase() : '???';
+
+    showLine(parts.hint, role.hint ? `HINT: ${role.hint}` : '');
+    showLine(parts.note, role.note ?? '');
+    showLine(parts.partners, role.partners?.length ? `PARTNERS: ${role.partners.join(', ')}` : '');
+}
+
+/** Set a reveal line's text, hiding it when empty. */
+function showLine(target, text) {
+    if (!target) return;
+    target.textContent   = text;
+    target.style.display = text ? 'block' : 'none';
+}
+
 /* ── Online reveal screen ──────────────────────────────────── */
 
-export function updateOnlineRevealScreen(playerName) {
-    if (el.onlinePlayerName) el.onlinePlayerName.textContent = playerName.toUpperCase();
+/** @param {{ name:string, colour:string, emoji:string }} player  this device's player */
+export function updateOnlineRevealScreen(player) {
+    showPlayerHeading(el.onlinePlayerName, player);
     if (el.onlineTapInstr)   el.onlineTapInstr.style.display = 'block';
     if (el.onlineRoleInfo)   el.onlineRoleInfo.style.display  = 'none';
     if (el.onlineReadyBtn)   el.onlineReadyBtn.style.display  = 'none';
 }
 
-export function showOnlineRole(isImposter, word, hint) {
+/** Show this device's role in online mode — same shape as showRole(). */
+export function showOnlineRole(role) {
     if (el.onlineTapInstr) el.onlineTapInstr.style.display = 'none';
     if (el.onlineRoleInfo) el.onlineRoleInfo.style.display  = 'block';
 
-    if (isImposter) {
-        if (el.onlineRoleType) {
-            el.onlineRoleType.textContent = 'YOU ARE THE IMPOSTER';
-            el.onlineRoleType.className   = 'reveal-text imposter-text';
-        }
-        if (el.onlineSecretWord)    el.onlineSecretWord.textContent    = '???';
-        if (el.onlineImposterHint) {
-            el.onlineImposterHint.textContent   = `HINT: ${escapeHtml(hint)}`;
-            el.onlineImposterHint.style.display = 'block';
-        }
-    } else {
-        if (el.onlineRoleType) {
-            el.onlineRoleType.textContent = 'YOU ARE A CIVILIAN';
-            el.onlineRoleType.className   = 'reveal-text';
-        }
-        if (el.onlineSecretWord)    el.onlineSecretWord.textContent    = word.toUpperCase();
-        if (el.onlineImposterHint)  el.onlineImposterHint.style.display = 'none';
-    }
+    renderRole({
+        roleType: el.onlineRoleType, secretWord: el.onlineSecretWord,
+        hint: el.onlineImposterHint, note: el.onlineRoleNote, partners: el.onlineImposterPartners,
+    }, role);
 
     if (el.onlineReadyBtn) el.onlineReadyBtn.style.display = 'block';
 }
 
 /* ── Discussion / Phase UI ─────────────────────────────────── */
 
-export function updateCluePhaseUI(playerName) {
+/** @param {{ name:string, colour:string, emoji:string }} player  whose turn it is */
+export function updateCluePhaseUI(player) {
     if (el.phaseTitle)       el.phaseTitle.textContent       = 'CLUE PHASE';
-    if (el.discussionInstr)  el.discussionInstr.textContent  = playerName.toUpperCase();
+    showPlayerHeading(el.discussionInstr, player);
     if (el.phaseSubtitle)    el.phaseSubtitle.textContent    = 'IS GIVING A CLUE...';
     if (el.clueNextBtn) {
         el.clueNextBtn.style.display = 'block';
         el.clueNextBtn.textContent   = 'Next Player';
     }
     if (el.postDiscussionOpts) el.postDiscussionOpts.style.display = 'none';
+    if (el.clueBoard)          el.clueBoard.style.display          = 'none';
+}
+
+/**
+ * Show the clue input on the device allowed to enter the current clue.
+ * @param {boolean} show
+ */
+export function setClueEntryVisible(show) {
+    if (el.clueEntry) el.clueEntry.style.display = show ? 'flex' : 'none';
+    if (el.clueInput) el.clueInput.value = '';
 }
 
 export function updateDebatePhaseUI() {
@@ -238,12 +663,302 @@ export function updateDebatePhaseUI() {
     if (el.phaseSubtitle)    el.phaseSubtitle.textContent    = 'REVEAL THE IMPOSTER!';
     if (el.clueNextBtn)      el.clueNextBtn.style.display    = 'none';
     if (el.postDiscussionOpts) el.postDiscussionOpts.style.display = 'flex';
+    if (el.clueEntry)        el.clueEntry.style.display      = 'none';
+    if (el.clueBoard)        el.clueBoard.style.display      = 'block';
+}
+
+/**
+ * Render every recorded clue, grouped by round.
+ * @param {{ round:number, clues:{player:string,text:string}[] }[]} board
+ */
+export function renderClueBoard(board) {
+    if (!el.clueBoard) return;
+    el.clueBoard.innerHTML = '';
+
+    board.forEach(({ round, clues }) => {
+        const title = document.createElement('p');
+        title.className = 'clue-round-title';
+        title.textContent = `Round ${round}`;
+        el.clueBoard.appendChild(title);
+
+        const list = document.createElement('div');
+        list.setAttribute('role', 'list');
+        if (clues.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'status-text';
+            empty.textContent = 'No clues recorded.';
+            list.appendChild(empty);
+        }
+        clues.forEach(c => {
+            const div = document.createElement('div');
+            div.className = 'player-item';
+            div.setAttribute('role', 'listitem');
+            const name = document.createElement('span');
+            name.textContent = c.player;
+            const text = document.createElement('span');
+            text.className = 'clue-text';
+            text.textContent = c.text;
+            div.appendChild(name);
+            div.appendChild(text);
+            list.appendChild(div);
+        });
+        el.clueBoard.appendChild(list);
+    });
+}
+
+/* ── Vote screen ───────────────────────────────────────────── */
+
+/**
+ * Render the ballot for one voter.
+ * @param {{ voterName:string, options:{index:number,name:string}[], isRevote:boolean,
+ *           votedCount:number, total:number, hasVoted:boolean, canClose:boolean }} view
+ *        canClose: the online host may count the votes cast so far
+ * @param {(targetIndex:number)=>void} onVote
+ */
+export function updateVoteScreen(view, onVote) {
+    if (el.voteTitle)     el.voteTitle.textContent     = view.isRevote ? 'REVOTE' : 'VOTE';
+    if (el.voteVoterName) el.voteVoterName.textContent = view.voterName.toUpperCase();
+    if (el.voteInstruction) {
+        el.voteInstruction.textContent = view.spectating ? 'You\'re watching — the players are voting.'
+            : view.hasVoted
+                ? 'Vote recorded. Waiting for the others...'
+                : (view.isRevote ? 'It\'s a tie! Vote again between the tied players.' : 'Who is the imposter?');
+    }
+    updateVoteProgress(view.votedCount, view.total);
+    if (el.voteCloseBtn) el.voteCloseBtn.style.display = view.canClose ? 'block' : 'none';
+
+    if (!el.voteOptions) return;
+    el.voteOptions.innerHTML = '';
+    view.options.forEach(opt => {
+        const btn = document.createElement('button');
+        btn.className = 'btn vote-option';
+        btn.textContent = opt.name;
+        btn.disabled = view.hasVoted;
+        btn.setAttribute('role', 'listitem');
+        btn.setAttribute('aria-label', `Vote for ${opt.name}`);
+        btn.addEventListener('click', () => onVote(opt.index));
+        el.voteOptions.appendChild(btn);
+    });
+}
+
+export function updateVoteProgress(votedCount, total) {
+    if (el.voteProgress) el.voteProgress.textContent = `${votedCount} / ${total} votes cast`;
+}
+
+/* ── Guess screen ──────────────────────────────────────────── */
+
+/**
+ * @param {string} imposterName
+ * @param {boolean} canGuess  false on devices that are only watching
+ * @param {boolean} [canSkip=false]  the online host may end the match without a guess
+ */
+export function updateGuessScreen(imposterName, canGuess, canSkip = false) {
+    if (el.guessPlayerName) el.guessPlayerName.textContent = imposterName.toUpperCase();
+    if (el.guessInstruction) {
+        el.guessInstruction.textContent = canGuess
+            ? 'was caught! Guess the secret word to steal the win.'
+            : 'was caught and is guessing the secret word...';
+    }
+    if (el.guessForm) el.guessForm.style.display = canGuess ? 'block' : 'none';
+    if (el.guessInput) el.guessInput.value = '';
+    if (el.guessSubmitBtn) el.guessSubmitBtn.disabled = false;
+    if (el.guessSkipBtn) el.guessSkipBtn.style.display = canSkip ? 'block' : 'none';
+}
+
+/* ── Results screen ────────────────────────────────────────── */
+
+/**
+ * Show who won and why.
+ * @param {{ winner:string, winnerLabel:string|null, reason:string, word:string|null,
+ *           decoy:string|null, seed:string, specialRoles:{name:string,label:string}[],
+ *           guess:{text:string,correct:boolean}|null, tally:{name:string,votes:number}[] }|null} outcome
+ */
+export function showResults(outcome) {
+    if (!outcome) {
+        if (el.finalResultsText) el.finalResultsText.textContent = 'Mission Complete.';
+        if (el.resultsReason)    el.resultsReason.textContent    = '';
+        if (el.resultsTally)     el.resultsTally.innerHTML       = '';
+        if (el.resultsGuess)     el.resultsGuess.style.display   = 'none';
+        if (el.resultsSeed)      el.resultsSeed.textContent      = '';
+        return;
+    }
+
+    if (el.finalResultsText) {
+        const headline = { civilians: 'CIVILIANS WIN', imposter: 'IMPOSTER WINS' }[outcome.winner]
+            ?? `${(outcome.winnerLabel ?? outcome.winner).toUpperCase()} WINS`;
+        el.finalResultsText.textContent = headline;
+        el.finalResultsText.className   = outcome.winner === 'civilians' ? 'results-winner' : 'results-winner imposter-text';
+    }
+    if (el.resultsReason) {
+        let text = outcome.reason;
+        if (outcome.word)  text += ` The word was "${outcome.word}".`;
+        if (outcome.decoy) text += ` The imposter's decoy was "${outcome.decoy}".`;
+        if (outcome.specialRoles?.length) {
+            text += ` Roles: ${outcome.specialRoles.map(r => `${r.name} (${r.label})`).join(', ')}.`;
+        }
+        el.resultsReason.textContent = text;
+    }
+    if (el.resultsSeed) {
+        el.resultsSeed.textContent = outcome.seed ? `Seed: ${outcome.seed} — enter it at setup to replay this game.` : '';
+    }
+    if (el.resultsGuess) {
+        el.resultsGuess.style.display = outcome.guess ? 'block' : 'none';
+        if (outcome.guess) {
+            el.resultsGuess.textContent =
+                `Imposter's guess: "${outcome.guess.text}" — ${outcome.guess.correct ? 'correct!' : 'wrong.'}`;
+        }
+    }
+
+    if (!el.resultsTally) return;
+    el.resultsTally.innerHTML = '';
+    outcome.tally.forEach(row => {
+        const div = document.createElement('div');
+        div.className = 'player-item';
+        div.setAttribute('role', 'listitem');
+        const name = document.createElement('span');
+        name.textContent = row.name;
+        const votes = document.createElement('span');
+        votes.textContent = `${row.votes} vote${row.votes === 1 ? '' : 's'}`;
+        div.appendChild(name);
+        div.appendChild(votes);
+        el.resultsTally.appendChild(div);
+    });
+}
+
+const FAIRNESS_LABELS = Object.freeze({
+    [Verdict.VERIFIED]:   '✔ Verified fair',
+    [Verdict.UNVERIFIED]: 'Not verified',
+    [Verdict.MISMATCH]:   '✖ Mismatch',
+});
+
+/**
+ * Show whether the host's reveal checked out (online players), or hide it.
+ * @param {{ verdict:string, detail:string }|null} result  from verifyReveal()
+ */
+export function setFairnessBadge(result) {
+    if (!el.fairnessBadge) return;
+    el.fairnessBadge.style.display = result ? 'block' : 'none';
+    if (!result) return;
+    el.fairnessBadge.className   = `fairness-badge ${result.verdict}`;
+    el.fairnessBadge.textContent = `${FAIRNESS_LABELS[result.verdict]} — ${result.detail}`;
+}
+
+/* ── Scoreboard ────────────────────────────────────────────── */
+
+/**
+ * Render standings into a scoreboard container (hidden while there are none).
+ * @param {HTMLElement|null} container  element holding a `.scoreboard-rows` list
+ * @param {{ name:string, points:number }[]} rows  highest first
+ * @param {Object<string, number>} [earned]  points gained this match, by name
+ */
+export function renderScoreboard(container, rows, earned = {}) {
+    if (!container) return;
+    const list = container.querySelector('.scoreboard-rows');
+    container.style.display = rows.length ? 'block' : 'none';
+    if (!list) return;
+
+    list.innerHTML = '';
+    rows.forEach((row, i) => {
+        const div = document.createElement('div');
+        div.className = 'player-item';
+        div.setAttribute('role', 'listitem');
+
+        const name = document.createElement('span');
+        name.textContent = `${i + 1}. ${row.name}`;
+
+        const pts = document.createElement('span');
+        pts.className = 'score-points';
+        const gain = earned[row.name];
+        pts.textContent = gain ? `${row.points} (+${gain})` : `${row.points}`;
+
+        div.appendChild(name);
+        div.appendChild(pts);
+        list.appendChild(div);
+    });
+}
+
+/* ── Stats screen ──────────────────────────────────────────── */
+
+/** Most recent matches listed on the stats screen. */
+const STATS_HISTORY_ROWS = 30;
+
+/**
+ * Render player statistics and recent matches (newest first).
+ * @param {{ name:string, matches:number, imposterMatches:number, imposterWins:number,
+ *           imposterWinRate:number|null, timesCaught:number, favouriteCategories:string[] }[]} players
+ * @param {object[]} history  match records, oldest first
+ */
+export function renderStats(players, history) {
+    if (el.statsEmpty)     el.statsEmpty.style.display     = history.length ? 'none' : 'block';
+    if (el.statsExportBtn) el.statsExportBtn.disabled      = !history.length;
+    if (el.statsClearBtn)  el.statsClearBtn.disabled       = !history.length;
+
+    fillStatsList(el.statsPlayers, players.map(p => {
+        const rate = p.imposterWinRate === null
+            ? 'never imposter'
+            : `imposter ${p.imposterWins}/${p.imposterMatches} won (${Math.round(p.imposterWinRate * 100)}%), caught ${p.timesCaught}×`;
+        const favs = p.favouriteCategories.length ? ` · likes ${p.favouriteCategories.join(', ')}` : '';
+        return [p.name, `${p.matches} played · ${rate}${favs}`];
+    }));
+
+    fillStatsList(el.statsHistory, history.slice(-STATS_HISTORY_ROWS).reverse().map(m => {
+        const winner = { civilians: 'Civilians won', imposter: 'Imposter won' }[m.winner]
+            ?? `${m.winnerLabel ?? m.winner} won`;
+        const when = new Date(m.endedAt).toLocaleString();
+        return [
+            `${m.word ?? '?'} (${m.category ?? '?'})`,
+            `${winner} · imposter: ${m.imposters.join(', ')} · ${m.rounds} round${m.rounds === 1 ? '' : 's'}, `
+                + `${formatTime(m.durationSeconds)} · ${m.players.length} players · ${when}`,
+        ];
+    }));
+}
+
+/** Fill one stats block with [title, detail] rows; hidden when empty. */
+function fillStatsList(container, rows) {
+    if (!container) return;
+    container.style.display = rows.length ? 'block' : 'none';
+    const list = container.querySelector('.stats-rows');
+    if (!list) return;
+
+    list.innerHTML = '';
+    rows.forEach(([title, detail]) => {
+        const div = document.createElement('div');
+        div.className = 'player-item stats-row';
+        div.setAttribute('role', 'listitem');
+
+        const name = document.createElement('span');
+        name.textContent = title;
+        const info = document.createElement('span');
+        info.className = 'stats-detail';
+        info.textContent = detail;
+
+        div.appendChild(name);
+        div.appendChild(info);
+        list.appendChild(div);
+    });
 }
 
 /* ── Timer display ─────────────────────────────────────────── */
 
-export function updateTimerDisplay(seconds) {
-    if (el.timerDisplay) el.timerDisplay.textContent = formatTime(seconds);
+/**
+ * @param {number} seconds
+ * @param {boolean} [warning=false]  countdown is about to run out
+ */
+export function updateTimerDisplay(seconds, warning = false) {
+    if (!el.timerDisplay) return;
+    el.timerDisplay.textContent = formatTime(seconds);
+    el.timerDisplay.classList.toggle('timer-warning', warning);
+}
+
+/** Only the host (or the shared local device) can start / pause / reset. */
+export function setTimerControlsVisible(show) {
+    if (el.timerToggleBtn) el.timerToggleBtn.style.display = show ? '' : 'none';
+    if (el.timerResetBtn)  el.timerResetBtn.style.display  = show ? '' : 'none';
+}
+
+/** The host's floating "Invite" button, shown while an online match is played. */
+export function setHostInviteVisible(show) {
+    if (el.hostInviteBtn) el.hostInviteBtn.style.display = show ? 'block' : 'none';
 }
 
 export function setTimerButtonLabel(running) {
@@ -252,15 +967,44 @@ export function setTimerButtonLabel(running) {
 
 /* ── Multiplayer lobby ─────────────────────────────────────── */
 
-export function renderLobbyPlayerList(container, players, hostName) {
+/**
+ * Players first, then any spectators under their own heading.
+ * @param {HTMLElement} container
+ * @param {{ name:string, colour:string, emoji:string, away?:boolean, outOfSync?:boolean }[]} players
+ * @param {string|null} hostName
+ * @param {{ id?:string, name:string, colour:string, emoji:string }[]} [spectators=[]]
+ * @param {((id:string)=>void)|null} [onPromote]  host only — adds a "Play" button per spectator
+ */
+export function renderLobbyPlayerList(container, players, hostName, spectators = [], onPromote = null) {
     if (!container) return;
     container.innerHTML = '';
-    players.forEach(name => {
+    players.forEach(profile => {
         const div = document.createElement('div');
         div.className = 'player-item';
-        const span = document.createElement('span');
-        span.textContent = name + (name === hostName ? ' (Host)' : '');
-        div.appendChild(span);
+        const tag = profile.name === hostName ? ' (Host)'
+            : profile.away ? ' (reconnecting…)'
+            : profile.outOfSync ? ' (keeps desyncing)' : '';
+        div.appendChild(profileLabel(div, profile, profile.name + tag));
+        container.appendChild(div);
+    });
+    if (!spectators.length) return;
+
+    const heading = document.createElement('label');
+    heading.className = 'player-list-heading';
+    heading.textContent = 'Spectators';
+    container.appendChild(heading);
+    spectators.forEach(profile => {
+        const div = document.createElement('div');
+        div.className = 'player-item spectator';
+        div.appendChild(profileLabel(div, profile));
+        if (onPromote) {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-small';
+            btn.textContent = 'Play';
+            btn.setAttribute('aria-label', `Let ${profile.name} play from the next match`);
+            btn.addEventListener('click', () => onPromote(profile.id));
+            div.appendChild(btn);
+        }
         container.appendChild(div);
     });
 }
@@ -273,6 +1017,72 @@ export function setJoinStatus(text) {
     if (el.joinStatus) el.joinStatus.textContent = text;
 }
 
+/**
+ * Show the host's open room, or hide it.
+ * @param {string|null} code
+ */
+export function setRoomCode(code) {
+    if (!el.hostRoomCode) return;
+    el.hostRoomCode.style.display = code ? 'block' : 'none';
+    el.hostRoomCode.textContent = code ? `Room ${code}` : '';
+}
+
+const QR_MODULE_PX  = 4;
+const QR_QUIET_ZONE = 4;   // modules of white border scanners expect
+
+/**
+ * Draw a code as a QR code so a phone can scan it off the screen.
+ * Hidden when there's no code or it's too long for a QR code.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} text
+ */
+export function renderQRCode(canvas, text) {
+    if (!canvas) return;
+    const modules = text ? encodeQR(text) : null;
+    canvas.style.display = modules ? 'block' : 'none';
+    if (!modules) return;
+
+    const side = (modules.length + QR_QUIET_ZONE * 2) * QR_MODULE_PX;
+    canvas.width = canvas.height = side;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, side, side);
+    ctx.fillStyle = '#000';
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) ctx.fillRect((x + QR_QUIET_ZONE) * QR_MODULE_PX, (y + QR_QUIET_ZONE) * QR_MODULE_PX, QR_MODULE_PX, QR_MODULE_PX);
+    }));
+}
+
+/* ── Connection diagnostics ────────────────────────────────── */
+
+export function setDiagnosticsAvailable(show) {
+    if (el.diagnosticsBtn) el.diagnosticsBtn.style.display = show ? 'block' : 'none';
+}
+
+export function setDiagnosticsOpen(open) {
+    if (el.diagnosticsPanel) el.diagnosticsPanel.style.display = open ? 'flex' : 'none';
+    el.diagnosticsBtn?.setAttribute('aria-expanded', String(open));
+}
+
+/**
+ * @param {{ summary:string,
+ *           links:{ name:string, latency:number|null, desyncs:number, flagged:boolean }[],
+ *           events:{ at:number, text:string }[] }} view  events oldest first
+ */
+export function renderDiagnostics(view) {
+    if (el.diagnosticsSummary) el.diagnosticsSummary.textContent = view.summary;
+    if (el.diagnosticsEmpty)   el.diagnosticsEmpty.style.display = view.events.length ? 'none' : 'block';
+
+    fillStatsList(el.diagnosticsLinks, view.links.map(l => [
+        l.flagged ? `⚠ ${l.name}` : l.name,
+        `${l.latency === null ? 'no ping yet' : `${l.latency} ms`} · ${l.desyncs} resync${l.desyncs === 1 ? '' : 's'}`
+            + (l.flagged ? ' · keeps falling out of sync' : ''),
+    ]));
+    fillStatsList(el.diagnosticsEvents, [...view.events].reverse().map(e => [
+        new Date(e.at).toLocaleTimeString(), e.text,
+    ]));
+}
+
 /* ── Toast notifications ───────────────────────────────────── */
 
 /**
@@ -302,10 +1112,34 @@ export function showToast(message, variant = 'info', durationMs = 2500) {
 
 /* ── Discussion control visibility for online peers ────────── */
 
+/**
+ * The buttons a player's own device gets in the clue and debate phases
+ * (online).  Null hides them all.
+ * @param {{ clueDone:boolean, pause:boolean,
+ *           debate:{ requested:boolean, count:number, needed:number }|null }|null} actions
+ */
+export function setPeerActions(actions) {
+    if (!el.peerActions) return;
+    const any = !!actions && (actions.clueDone || actions.pause || !!actions.debate);
+    el.peerActions.style.display = any ? 'flex' : 'none';
+    if (!any) return;
+
+    if (el.peerClueDoneBtn) el.peerClueDoneBtn.style.display = actions.clueDone ? 'block' : 'none';
+    if (el.peerPauseBtn)    el.peerPauseBtn.style.display    = actions.pause ? 'block' : 'none';
+    if (el.peerDebateBtn) {
+        el.peerDebateBtn.style.display = actions.debate ? 'block' : 'none';
+        if (actions.debate) {
+            const { requested, count, needed } = actions.debate;
+            el.peerDebateBtn.disabled    = requested;
+            el.peerDebateBtn.textContent = count ? `Start Debate (${count}/${needed})` : 'Start Debate';
+        }
+    }
+}
+
 export function setDiscussionHostControls(isHost) {
     if (el.clueNextBtn)      el.clueNextBtn.style.display      = isHost ? 'block' : 'none';
-    if (el.postDiscussionOpts) {
+    if (el.postDiscussionOpts && !isHost) {
         // During debate phase, host sees options; peers don't
-        // This is called separately for each phase
+        el.postDiscussionOpts.style.display = 'none';
     }
 }
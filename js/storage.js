@@ -0,0 +1,52 @@
+/**
+ * Browser persistence for VAGUE — a thin JSON wrapper over localStorage.
+ *
+ * Every key is namespaced with `vague:`.  Reads fall back to a default
+ * and writes fail quietly when storage is unavailable (private mode,
+ * quota exceeded), so the game keeps working without persistence.
+ */
+
+const PREFIX = 'vague:';
+
+/** Storage keys in use — one place to see what the app persists. */
+export const StorageKey = Object.freeze({
+    CUSTOM_PACKS:  'packs',
+    MATCH_HISTORY: 'history',
+    LOCAL_GAME:    'game',    // in-progress pass-and-play game (see createSnapshot)
+    LOBBY:         'lobby',   // last online lobby: name, role, host's roster + standings
+    PROFILES:      'profiles',
+    SIGNAL_SERVER: 'signal',  // last signalling server address used for a room
+});
+
+/**
+ * Read and parse a stored value.
+ * @template T
+ * @param {string} key
+ * @param {T} fallback  returned when missing or unreadable
+ * @returns {T}
+ */
+export function loadJSON(key, fallback) {
+    try {
+        const raw = localStorage.getItem(PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Serialise and store a value.
+ * @returns {boolean} false if it could not be saved
+ */
+export function saveJSON(key, value) {
+    try {
+        localStorage.setItem(PREFIX + key, JSON.stringify(value));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export function removeKey(key) {
+    try { localStorage.removeItem(PREFIX + key); } catch { /* unavailable */ }
+}
@@ -10,6 +10,16 @@ export function generateId() {
     return Math.random().toString(36).substring(2, 9);
 }
 
+/**
+ * Generate an unguessable hex token (e.g. a session token).
+ * @param {number} [bytes=16]
+ * @returns {string}
+ */
+export function generateToken(bytes = 16) {
+    const buf = crypto.getRandomValues(new Uint8Array(bytes));
+    return Array.from(buf, b => b.toString(16).padStart(2, '0')).join('');
+}
+
 /**
  * Format total seconds into MM:SS display string.
  * @param {number} totalSeconds
@@ -21,21 +31,130 @@ export function formatTime(totalSeconds) {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Seedable PRNG — the same seed string always gives the same sequence.
+ * xmur3 string hash to seed a mulberry32 generator.
+ * @param {string} seed
+ * @returns {() => number} float in [0, 1), like Math.random
+ */
+export function createRng(seed) {
+    const str = String(seed);
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    let a = (h ^ (h >>> 16)) >>> 0;
+
+    return function rng() {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Random integer in [0, n).
+ * @param {() => number} rng
+ * @param {number} n
+ * @returns {number}
+ */
+export function randomInt(rng, n) {
+    return Math.floor(rng() * n);
+}
+
+/**
+ * Generate a short, easy-to-read seed (no 0/O or 1/I).
+ * @returns {string}
+ */
+export function generateSeed() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const bytes = new Uint8Array(6);
+    if (globalThis.crypto?.getRandomValues) crypto.getRandomValues(bytes);
+    else bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+    return [...bytes].map(b => alphabet[b % alphabet.length]).join('');
+}
+
 /**
  * Fisher-Yates shuffle — returns a new shuffled array (does not mutate).
  * @template T
  * @param {T[]} arr
+ * @param {() => number} [rng=Math.random]  e.g. from createRng()
  * @returns {T[]}
  */
-export function shuffleArray(arr) {
+export function shuffleArray(arr, rng = Math.random) {
     const a = [...arr];
     for (let i = a.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(rng() * (i + 1));
         [a[i], a[j]] = [a[j], a[i]];
     }
     return a;
 }
 
+/**
+ * Normalise a word or phrase for forgiving comparison: case, accents,
+ * punctuation, a leading article and simple English plurals are ignored.
+ * @param {string} str
+ * @returns {string[]} normalised tokens
+ */
+export function normaliseWord(str) {
+    const tokens = String(str ?? '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+
+    if (tokens.length > 1 && ['the', 'a', 'an'].includes(tokens[0])) tokens.shift();
+    return tokens.map(singularise);
+}
+
+/**
+ * Reduce one lower-case token to a stem its singular and plural share.
+ * After s, x, z, ch or sh the "e" of "-es" may belong to the word (horses,
+ * boxes), so a trailing "e" there goes too: horse and horses both give "hors".
+ * Likewise "-ies" may come from "-y" or "-ie" (cherries, cookies), so both
+ * endings give "y": cookie and cookies both give "cooky".
+ */
+function singularise(t) {
+    if (t.length > 4 && t.endsWith('ies')) return t.slice(0, -3) + 'y';
+    if (t.length > 3 && t.endsWith('ie')) return t.slice(0, -2) + 'y';
+    if (t.length > 3 && /(s|x|z|ch|sh)es$/.test(t)) return t.slice(0, -2);
+    if (t.length > 2 && /(s|x|z|ch|sh)e$/.test(t)) return t.slice(0, -1);
+    if (t.length > 3 && t.endsWith('s') && !t.endsWith('ss')) return t.slice(0, -1);
+    return t;
+}
+
+/**
+ * Do two words match once normalised?  Spacing between the parts of a
+ * multi-word entry doesn't matter ("washingmachine" = "Washing Machine").
+ * @param {string} guess
+ * @param {string} target
+ * @returns {boolean}
+ */
+export function wordsMatch(guess, target) {
+    const a = normaliseWord(guess).join('');
+    return a.length > 0 && a === normaliseWord(target).join('');
+}
+
+/**
+ * Lower-case, accent-free, dash-separated version of a name.
+ * @param {string} str
+ * @returns {string}
+ */
+export function slugify(str) {
+    return String(str ?? '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
 /**
  * Escape HTML entities to prevent XSS.
  * @param {string} str
@@ -83,21 +202,151 @@ export async function copyToClipboard(text) {
 }
 
 /**
- * Compress an SDP string for shorter copy-paste codes.
- * Uses simple line filtering + base64.
+ * Offer text to the user as a file download.
+ * @param {string} fileName
+ * @param {string} text
+ * @param {string} [mime='text/plain']
+ */
+export function downloadFile(fileName, text, mime = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type: mime }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+let _audioCtx = null;
+
+/**
+ * Short beep + vibration for timer warnings.  Silently does nothing where
+ * Web Audio or vibration isn't available.
+ * @param {number} [freq=660]  Hz
+ * @param {number} [durationMs=120]
+ */
+export function playBeep(freq = 660, durationMs = 120) {
+    try {
+        _audioCtx ??= new (window.AudioContext || window.webkitAudioContext)();
+        const osc  = _audioCtx.createOscillator();
+        const gain = _audioCtx.createGain();
+        osc.frequency.value = freq;
+        gain.gain.value = 0.1;
+        osc.connect(gain).connect(_audioCtx.destination);
+        osc.start();
+        osc.stop(_audioCtx.currentTime + durationMs / 1000);
+    } catch { /* no audio */ }
+    navigator.vibrate?.(durationMs);
+}
+
+// Invite codes: the first character says how the rest is packed
+const SDP_DEFLATED = 'Z';
+const SDP_PLAIN    = 'J';   // browsers without CompressionStream
+
+const CANDIDATE_TYPES = Object.freeze({ host: 'h', srflx: 's', prflx: 'p', relay: 'r' });
+
+function bytesToBase64Url(bytes) {
+    let bin = '';
+    bytes.forEach(b => { bin += String.fromCharCode(b); });
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(str) {
+    return Uint8Array.from(atob(str.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, stream) {
+    const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await out.arrayBuffer());
+}
+
+/**
+ * Keep only what a data-channel connection needs: ICE credentials, the
+ * DTLS fingerprint and role, and the UDP candidates.
+ * @param {{type:string, sdp:string}} desc
+ * @returns {Array} [type, ufrag, pwd, fpAlgorithm, fpBase64Url, setup, mid, sctpPort, ...candidates]
+ */
+function minifySDP(desc) {
+    const line = (re) => desc.sdp.match(re)?.[1] ?? '';
+    const [fpAlg, fpHex] = line(/^a=fingerprint:(.+)$/m).trim().split(' ');
+    const fingerprint = bytesToBase64Url(Uint8Array.from(fpHex.split(':'), h => parseInt(h, 16)));
+
+    // candidate:<foundation> <component> <transport> <priority> <ip> <port> typ <type> ...
+    const candidates = [...desc.sdp.matchAll(/^a=candidate:(\S+) (\d+) (\S+) (\d+) (\S+) (\d+) typ (\w+)/gm)]
+        .filter(m => m[2] === '1' && m[3].toLowerCase() === 'udp' && CANDIDATE_TYPES[m[7]])
+        .map(m => [m[1], m[4], m[5], m[6], CANDIDATE_TYPES[m[7]]].join(' '));
+
+    return [
+        desc.type === 'offer' ? 'o' : 'a',
+        line(/^a=ice-ufrag:(\S+)/m), line(/^a=ice-pwd:(\S+)/m),
+        fpAlg, fingerprint,
+        line(/^a=setup:(\S+)/m), line(/^a=mid:(\S+)/m), line(/^a=sctp-port:(\d+)/m) || '5000',
+        ...candidates,
+    ];
+}
+
+/** Rebuild a complete SDP from minifySDP()'s fields. */
+function expandSDP(fields) {
+    const [type, ufrag, pwd, fpAlg, fingerprint, setup, mid, sctpPort, ...candidates] = fields;
+    const fpHex = Array.from(base64UrlToBytes(fingerprint), b => b.toString(16).padStart(2, '0').toUpperCase()).join(':');
+    const typeNames = Object.fromEntries(Object.entries(CANDIDATE_TYPES).map(([k, v]) => [v, k]));
+
+    const lines = [
+        'v=0',
+        'o=- 0 2 IN IP4 127.0.0.1',
+        's=-',
+        't=0 0',
+        `a=group:BUNDLE ${mid}`,
+        'a=msid-semantic: WMS',
+        'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+        'c=IN IP4 0.0.0.0',
+        ...candidates.map(c => {
+            const [foundation, priority, ip, port, t] = c.split(' ');
+            return `a=candidate:${foundation} 1 udp ${priority} ${ip} ${port} typ ${typeNames[t]}`;
+        }),
+        'a=end-of-candidates',
+        `a=ice-ufrag:${ufrag}`,
+        `a=ice-pwd:${pwd}`,
+        `a=fingerprint:${fpAlg} ${fpHex}`,
+        `a=setup:${setup}`,
+        `a=mid:${mid}`,
+        `a=sctp-port:${sctpPort}`,
+        'a=max-message-size:262144',
+    ];
+    return { type: type === 'o' ? 'offer' : 'answer', sdp: lines.join('\r\n') + '\r\n' };
+}
+
+/**
+ * Turn an offer or answer into a short code for copy-paste or a QR code:
+ * the SDP minified to its essential fields, deflated, base64url-encoded.
  * @param {RTCSessionDescription} desc
- * @returns {string}
+ * @returns {Promise<string>}
  */
-export function encodeSDP(desc) {
-    const obj = { type: desc.type, sdp: desc.sdp };
-    return btoa(unescape(encodeURIComponent(JSON.stringify(obj))));
+export async function encodeSDP(desc) {
+    const json = new TextEncoder().encode(JSON.stringify(minifySDP(desc)));
+    if (typeof CompressionStream === 'undefined') return SDP_PLAIN + bytesToBase64Url(json);
+    return SDP_DEFLATED + bytesToBase64Url(await pipeBytes(json, new CompressionStream('deflate-raw')));
 }
 
 /**
- * Decode a compressed SDP string back to an RTCSessionDescription init.
- * @param {string} encoded
- * @returns {{type: string, sdp: string}}
+ * Decode a code from encodeSDP() back to an RTCSessionDescription init.
+ * Whitespace picked up while pasting is ignored.
+ * @param {string} code
+ * @returns {Promise<{type: string, sdp: string}>} rejects if the code is damaged
  */
-export function decodeSDP(encoded) {
-    return JSON.parse(decodeURIComponent(escape(atob(encoded))));
+export async function decodeSDP(code) {
+    const clean = code.replace(/\s+/g, '');
+    try {
+        let bytes = base64UrlToBytes(clean.slice(1));
+        if (clean[0] === SDP_DEFLATED) bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+        else if (clean[0] !== SDP_PLAIN) throw new Error('unknown format');
+        const fields = JSON.parse(new TextDecoder().decode(bytes));
+        if (!Array.isArray(fields) || fields.length < 8 || !fields.every(f => typeof f === 'string')) {
+            throw new Error('unexpected fields');
+        }
+        return expandSDP(fields);
+    } catch {
+        throw new Error('That code is incomplete or damaged.');
+    }
 }
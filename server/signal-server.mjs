@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * Optional signalling server for VAGUE online games.  Node 18+, no
+ * dependencies.
+ *
+ * The host opens a room and gets a short code; players join by typing it,
+ * and the server relays WebRTC offers, answers and ICE candidates between
+ * them.  Game traffic never passes through here — once a data channel is
+ * open the server is only needed for the next player to join.
+ *
+ * It also serves the game itself, so on a LAN everyone can open
+ * http://<this machine>:8787/ and the signalling address is filled in.
+ *
+ *   node server/signal-server.mjs [port]
+ */
+
+import { createServer } from 'node:http';
+import { createHash, randomBytes, randomInt } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { networkInterfaces } from 'node:os';
+
+/* ── Constants ─────────────────────────────────────────────── */
+
+const PORT = Number(process.argv[2] ?? process.env.PORT ?? 8787);
+const ROOT = fileURLToPath(new URL('..', import.meta.url));   // the game's files
+
+const ROOM_CODE_LENGTH   = 5;
+const ROOM_CODE_CHARS    = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';   // no 0/O or 1/I/L
+const MAX_PEERS_PER_ROOM = 16;
+const MAX_MESSAGE_BYTES  = 64 * 1024;
+const HEARTBEAT_MS       = 30000;
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const Opcode = Object.freeze({ CONTINUATION: 0x0, TEXT: 0x1, CLOSE: 0x8, PING: 0x9, PONG: 0xA });
+
+const MIME_TYPES = Object.freeze({
+    '.html': 'text/html; charset=utf-8',
+    '.js':   'text/javascript; charset=utf-8',
+    '.mjs':  'text/javascript; charset=utf-8',
+    '.css':  'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg':  'image/svg+xml',
+    '.png':  'image/png',
+    '.ico':  'image/x-icon',
+    '.md':   'text/plain; charset=utf-8',
+});
+
+/* ── WebSocket framing (RFC 6455) ──────────────────────────── */
+
+function encodeFrame(opcode, payload) {
+    const len = payload.length;
+    let header;
+    if (len < 126) {
+        header = Buffer.from([0x80 | opcode, len]);
+    } else if (len < 0x10000) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(len, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(len), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Take every complete frame off the front of a buffer.
+ * @returns {{ frames: {fin:boolean, opcode:number, payload:Buffer}[], rest: Buffer }|null} null if a frame is too big
+ */
+function decodeFrames(buf) {
+    const frames = [];
+    for (;;) {
+        if (buf.length < 2) break;
+        const masked = (buf[1] & 0x80) !== 0;
+        let len = buf[1] & 0x7f;
+        let offset = 2;
+        if (len === 126) {
+            if (buf.length < 4) break;
+            len = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (len === 127) {
+            if (buf.length < 10) break;
+            const big = buf.readBigUInt64BE(2);
+            if (big > BigInt(MAX_MESSAGE_BYTES)) return null;
+            len = Number(big);
+            offset = 10;
+        }
+        if (len > MAX_MESSAGE_BYTES) return null;
+        const maskAt = offset;
+        if (masked) offset += 4;
+        if (buf.length < offset + len) break;
+
+        const payload = Buffer.from(buf.subarray(offset, offset + len));
+        if (masked) {
+            for (let i = 0; i < len; i++) payload[i] ^= buf[maskAt + (i % 4)];
+        }
+        frames.push({ fin: (buf[0] & 0x80) !== 0, opcode: buf[0] & 0x0f, payload });
+        buf = buf.subarray(offset + len);
+    }
+    return { frames, rest: buf };
+}
+
+/** One browser connected over WebSocket: a host or a player in a room. */
+class Client {
+    constructor(socket) {
+        this.socket = socket;
+        this.id     = null;    // 'host', or a random ID for a player
+        this.room   = null;    // room code once created / joined
+        this.alive  = true;    // answered the last heartbeat ping
+        this._buf   = Buffer.alloc(0);
+        this._parts = [];      // fragments of a message still arriving
+
+        socket.on('data', (data) => this._onData(data));
+        socket.on('close', () => leaveRoom(this));
+        socket.on('error', () => socket.destroy());
+    }
+
+    send(msg) {
+        if (!this.socket.destroyed) this.socket.write(encodeFrame(Opcode.TEXT, Buffer.from(JSON.stringify(msg))));
+    }
+
+    ping() {
+        if (!this.socket.destroyed) this.socket.write(encodeFrame(Opcode.PING, Buffer.alloc(0)));
+    }
+
+    close() {
+        if (!this.socket.destroyed) this.socket.end(encodeFrame(Opcode.CLOSE, Buffer.alloc(0)));
+    }
+
+    _onData(data) {
+        const decoded = decodeFrames(Buffer.concat([this._buf, data]));
+        if (!decoded) { this.socket.destroy(); return; }
+        this._buf = decoded.rest;
+
+        for (const { fin, opcode, payload } of decoded.frames) {
+            switch (opcode) {
+                case Opcode.TEXT:
+                case Opcode.CONTINUATION: {
+                    this._parts.push(payload);
+                    if (this._parts.reduce((n, p) => n + p.length, 0) > MAX_MESSAGE_BYTES) {
+                        this.socket.destroy();
+                        return;
+                    }
+                    if (!fin) break;
+                    const text = Buffer.concat(this._parts).toString('utf8');
+                    this._parts = [];
+                    handleMessage(this, text);
+                    break;
+                }
+                case Opcode.PING:
+                    if (!this.socket.destroyed) this.socket.write(encodeFrame(Opcode.PONG, payload));
+                    break;
+                case Opcode.PONG:
+                    this.alive = true;
+                    break;
+                case Opcode.CLOSE:
+                    this.close();
+                    return;
+            }
+        }
+    }
+}
+
+/* ── Rooms ─────────────────────────────────────────────────── */
+
+/** @type {Map<string, { host: Client, peers: Map<string, Client> }>} */
+const rooms = new Map();
+
+function newRoomCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < ROOM_CODE_LENGTH; i++) code += ROOM_CODE_CHARS[randomInt(ROOM_CODE_CHARS.length)];
+    } while (rooms.has(code));
+    return code;
+}
+
+function handleMessage(client, text) {
+    let msg;
+    try { msg = JSON.parse(text); } catch { return; }
+
+    switch (msg?.type) {
+        case 'create': {
+            if (client.room) return;
+            const code = newRoomCode();
+            rooms.set(code, { host: client, peers: new Map() });
+            client.room = code;
+            client.id   = 'host';
+            client.send({ type: 'created', room: code });
+            return;
+        }
+        case 'join': {
+            if (client.room) return;
+            const code = String(msg.room ?? '').trim().toUpperCase();
+            const room = rooms.get(code);
+            if (!room) {
+                client.send({ type: 'error', message: 'No room with that code — check it with the host.' });
+                return;
+            }
+            if (room.peers.size >= MAX_PEERS_PER_ROOM) {
+                client.send({ type: 'error', message: 'That room is full.' });
+                return;
+            }
+            client.room = code;
+            client.id   = randomBytes(6).toString('hex');
+            room.peers.set(client.id, client);
+            client.send({ type: 'joined', room: code, id: client.id });
+            room.host.send({ type: 'peer_joined', id: client.id });
+            return;
+        }
+        case 'signal': {
+            const room = rooms.get(client.room);
+            if (!room) return;
+            // Players only talk to the host; the host to any of its players
+            const target = msg.to === 'host' ? room.host
+                : client.id === 'host' ? room.peers.get(msg.to) : null;
+            if (target && target !== client) target.send({ type: 'signal', from: client.id, signal: msg.signal });
+            return;
+        }
+    }
+}
+
+function leaveRoom(client) {
+    const code = client.room;
+    const room = rooms.get(code);
+    client.room = null;
+    if (!room) return;
+    if (room.host === client) {
+        rooms.delete(code);
+        room.peers.forEach(peer => {
+            peer.room = null;
+            peer.send({ type: 'room_closed' });
+            peer.close();
+        });
+    } else {
+        room.peers.delete(client.id);
+        room.host.send({ type: 'peer_left', id: client.id });
+    }
+}
+
+/* ── HTTP: the game's files + WebSocket upgrade ────────────── */
+
+async function serveFile(req, res) {
+    let path;
+    try {
+        path = decodeURIComponent(new URL(req.url, 'http://x').pathname);
+    } catch {
+        res.writeHead(400).end();
+        return;
+    }
+    if (path.endsWith('/')) path += 'index.html';
+    const file = normalize(join(ROOT, path));
+    // Nothing outside the game's folder, and no dotfiles (.git and the like)
+    if (!file.startsWith(ROOT) || file.slice(ROOT.length).split(sep).some(part => part.startsWith('.'))) {
+        res.writeHead(404).end('Not found');
+        return;
+    }
+    try {
+        const body = await readFile(file);
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(file)] ?? 'application/octet-stream' });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    } catch {
+        res.writeHead(404).end('Not found');
+    }
+}
+
+const server = createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405).end();
+        return;
+    }
+    serveFile(req, res);
+});
+
+const clients = new Set();
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const client = new Client(socket);
+    clients.add(client);
+    socket.on('close', () => clients.delete(client));
+});
+
+// Drop connections that stopped answering (a closed laptop lid, a lost Wi-Fi)
+setInterval(() => {
+    clients.forEach(client => {
+        if (!client.alive) { client.socket.destroy(); return; }
+        client.alive = false;
+        client.ping();
+    });
+}, HEARTBEAT_MS).unref();
+
+server.listen(PORT, () => {
+    const addresses = Object.values(networkInterfaces()).flat()
+        .filter(a => a && a.family === 'IPv4' && !a.internal)
+        .map(a => a.address);
+    console.log(`VAGUE signalling server on port ${PORT}`);
+    console.log(`  This machine:  http://localhost:${PORT}/`);
+    addresses.forEach(ip => console.log(`  On your LAN:   http://${ip}:${PORT}/`));
+});